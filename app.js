@@ -6,10 +6,15 @@ const SCREEN = {
     ADD: 'add',
     EDIT: 'edit',
     REPORTS: 'reports',
+    RECURRING: 'recurring',
+    TRASH: 'trash',
+    RECOVERY: 'recovery',
+    PEOPLE: 'people',
+    ACCOUNTS: 'accounts',
     SETTINGS: 'settings'
 };
 
-const CATEGORIES = [
+const DEFAULT_CATEGORIES = [
     { id: 'food', name: 'Food & Dining', icon: 'fa-utensils', color: '#ef4444' },
     { id: 'transport', name: 'Transportation', icon: 'fa-car', color: '#3b82f6' },
     { id: 'utilities', name: 'Utilities', icon: 'fa-bolt', color: '#f59e0b' },
@@ -20,701 +25,4835 @@ const CATEGORIES = [
     { id: 'other', name: 'Other', icon: 'fa-ellipsis-h', color: '#6b7280' }
 ];
 
-// Storage key for localStorage
+// Income sources, used in place of categories for income entries
+const INCOME_SOURCES = [
+    { id: 'salary', name: 'Salary', icon: 'fa-briefcase', color: '#10b981' },
+    { id: 'freelance', name: 'Freelance', icon: 'fa-laptop-code', color: '#06b6d4' },
+    { id: 'business', name: 'Business', icon: 'fa-store', color: '#3b82f6' },
+    { id: 'investment', name: 'Investments', icon: 'fa-chart-line', color: '#8b5cf6' },
+    { id: 'gift', name: 'Gifts', icon: 'fa-gift', color: '#ec4899' },
+    { id: 'other-income', name: 'Other Income', icon: 'fa-coins', color: '#6b7280' }
+];
+
+// Icons offered when creating or editing a category
+const CATEGORY_ICONS = [
+    'fa-tag', 'fa-utensils', 'fa-car', 'fa-bolt', 'fa-film', 'fa-bag-shopping', 'fa-heartbeat',
+    'fa-graduation-cap', 'fa-home', 'fa-hand-holding-heart', 'fa-child', 'fa-plane',
+    'fa-gift', 'fa-mobile-alt', 'fa-paw', 'fa-dumbbell', 'fa-tshirt', 'fa-tools', 'fa-ellipsis-h'
+];
+
+// Storage key for user-defined categories
+const CATEGORIES_STORAGE_KEY = 'categories_pkr';
+
+// Legacy localStorage key, imported into IndexedDB on first run
 const STORAGE_KEY = 'expenses_pkr';
 
-// Load expenses from localStorage
-const loadExpensesFromStorage = () => {
-    try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (stored) {
-            return JSON.parse(stored);
-        }
-    } catch (error) {
-        console.error('Error loading expenses:', error);
+// Storage key for recurring expense rules
+const RECURRING_STORAGE_KEY = 'recurring_pkr';
+
+const RECURRENCE_FREQUENCIES = [
+    { id: 'daily', name: 'Daily' },
+    { id: 'weekly', name: 'Weekly' },
+    { id: 'monthly', name: 'Monthly' },
+    { id: 'yearly', name: 'Yearly' }
+];
+
+// Today's date as YYYY-MM-DD in the user's local time zone; toISOString() would give the UTC
+// date, which lags behind local midnight for users east of Greenwich
+const getTodayString = () => {
+    const now = new Date();
+    return [
+        now.getFullYear(),
+        String(now.getMonth() + 1).padStart(2, '0'),
+        String(now.getDate()).padStart(2, '0')
+    ].join('-');
+};
+
+// Income entries share the expenses list and are marked with type 'income'
+const isIncome = (transaction) => transaction.type === 'income';
+
+// Tags: free-form labels that cut across categories, kept lowercase with dashes for spaces
+const normalizeTag = (tag) => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+// Clean tags from an array or a comma-separated string, dropping blanks and duplicates
+const parseTags = (value) => {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+// Receipt attachments are stored on the transaction as data URLs, so they follow it into
+// the trash, backups and the app lock's encryption
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+// Photos are scaled down so their longer side is at most this many pixels
+const RECEIPT_MAX_DIMENSION = 1600;
+const RECEIPT_JPEG_QUALITY = 0.8;
+
+const readFileAsDataURL = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The image could not be read'));
+    image.src = src;
+});
+
+// Scale a photo larger than RECEIPT_MAX_DIMENSION down and re-encode it as JPEG; smaller ones are kept as they are
+const downscaleImage = async (file) => {
+    const source = await readFileAsDataURL(file);
+    const image = await loadImage(source);
+    const scale = Math.min(1, RECEIPT_MAX_DIMENSION / Math.max(image.width, image.height));
+    if (scale === 1) {
+        return source;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent areas become white instead of black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', RECEIPT_JPEG_QUALITY);
+};
+
+// Approximate decoded size of a base64 data URL in bytes
+const getDataURLSize = (dataURL) => Math.round((dataURL.length - dataURL.indexOf(',') - 1) * 3 / 4);
+
+// Read a picked file into an attachment, rejecting unsupported or oversized files
+const createAttachment = async (file) => {
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+        throw new Error(`${file.name} is not an image or PDF`);
     }
-    return [];
+    const isImage = file.type.startsWith('image/');
+    const data = isImage ? await downscaleImage(file) : await readFileAsDataURL(file);
+    const size = getDataURLSize(data);
+    if (size > MAX_ATTACHMENT_SIZE) {
+        throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
+    }
+    return {
+        id: crypto.randomUUID(),
+        name: file.name,
+        type: isImage ? data.slice(5, data.indexOf(';')) : file.type,
+        size,
+        data
+    };
 };
 
-// Save expenses to localStorage
-const saveExpensesToStorage = (expenses) => {
+const isStoredAttachment = (attachment) =>
+    Boolean(attachment) &&
+    typeof attachment.id === 'string' &&
+    typeof attachment.name === 'string' &&
+    typeof attachment.type === 'string' &&
+    typeof attachment.data === 'string' &&
+    attachment.data.startsWith('data:');
+
+// Turn a data URL back into a Blob, e.g. to open a PDF in the viewer
+const dataURLToBlob = (dataURL) => {
+    const [header, base64] = dataURL.split(',');
+    const type = header.slice(5, header.indexOf(';'));
+    return new Blob([base64ToBytes(base64)], { type });
+};
+
+const formatFileSize = (bytes) =>
+    bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Blank add-expense form state
+const createEmptyFormData = (category = 'food', type = 'expense', currency = 'PKR', account = '') => ({
+    type,
+    title: '',
+    amount: '',
+    currency,
+    category,
+    account,
+    date: getTodayString(),
+    notes: '',
+    recurrence: 'none',
+    recurrenceEnd: 'never',
+    recurrenceEndDate: '',
+    recurrenceCount: '',
+    split: null,
+    tags: [],
+    attachments: []
+});
+
+// Form state for editing an existing expense
+const expenseToFormData = (expense) => ({
+    type: expense.type || 'expense',
+    title: expense.title,
+    amount: (expense.originalAmount ?? expense.amount).toString(),
+    currency: expense.currency || 'PKR',
+    category: expense.category,
+    account: expense.account || '',
+    date: expense.date,
+    notes: expense.notes || '',
+    split: expense.split ? splitToFormData(expense.split) : null,
+    tags: expense.tags || [],
+    attachments: expense.attachments || []
+});
+
+// IndexedDB storage: transactions and trash are kept one record per id
+const DB_NAME = 'expense_tracker';
+const EXPENSES_STORE = 'expenses';
+const TRASH_STORE = 'trash';
+const RECOVERY_STORE = 'recovery';
+const SETTLEMENTS_STORE = 'settlements';
+const TRANSFERS_STORE = 'transfers';
+
+// Read a JSON array left behind in localStorage by older versions
+const readLegacyRecords = (key) => {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(expenses));
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : [];
     } catch (error) {
-        console.error('Error saving expenses:', error);
+        console.error(`Error reading ${key}:`, error);
+        return [];
     }
 };
 
-// Format currency in PKR
-const formatPKR = (amount) => {
-    return new Intl.NumberFormat('en-PK', {
-        style: 'currency',
-        currency: 'PKR',
-        minimumFractionDigits: 0,
-        maximumFractionDigits: 0
-    }).format(amount);
+// Schema migrations; migration N upgrades the database from version N to N + 1
+// Make legacy records safe to put() into a store keyed by id: records missing a usable or unique
+// id get a new one, and anything that is not a record at all is set aside for the recovery list.
+// A single bad record would otherwise abort the whole upgrade, every time the app loads.
+const prepareLegacyRecords = (stored, legacyInvalid) => {
+    if (!Array.isArray(stored)) {
+        if (stored !== null && stored !== undefined) {
+            legacyInvalid.push({ record: stored, errors: ['Saved data was not a list of transactions'] });
+        }
+        return [];
+    }
+
+    const seenIds = new Set();
+    return stored.filter(record => {
+        if (record && typeof record === 'object' && !Array.isArray(record)) return true;
+        legacyInvalid.push({ record, errors: ['Not a transaction record'] });
+        return false;
+    }).map(record => {
+        const hasUsableId = (typeof record.id === 'string' && record.id !== '') || Number.isFinite(record.id);
+        const id = hasUsableId && !seenIds.has(record.id) ? record.id : crypto.randomUUID();
+        seenIds.add(id);
+        return id === record.id ? record : { ...record, id };
+    });
 };
 
-// Chart Components
-const CategoryChart = ({ expenses }) => {
-    const chartRef = useRef(null);
-    const chartInstance = useRef(null);
+const DB_MIGRATIONS = [
+    // Create the stores and import the localStorage arrays
+    (db, transaction, legacyKeys, legacyInvalid) => {
+        const expenseStore = db.createObjectStore(EXPENSES_STORE, { keyPath: 'id' });
+        const trashStore = db.createObjectStore(TRASH_STORE, { keyPath: 'id' });
+        prepareLegacyRecords(readLegacyRecords(STORAGE_KEY), legacyInvalid).forEach(record => expenseStore.put(record));
+        prepareLegacyRecords(readLegacyRecords(TRASH_STORAGE_KEY), legacyInvalid).forEach(record => trashStore.put(record));
+        legacyKeys.push(STORAGE_KEY, TRASH_STORAGE_KEY);
+    },
+    // Hold records that failed validation until the user reviews them
+    (db, transaction, legacyKeys, legacyInvalid) => {
+        const recoveryStore = db.createObjectStore(RECOVERY_STORE, { keyPath: 'id' });
+        toRecoveryEntries(legacyInvalid, 'Legacy storage').forEach(entry => recoveryStore.put(entry));
+    },
+    // Repayments between people who share expenses
+    (db) => {
+        db.createObjectStore(SETTLEMENTS_STORE, { keyPath: 'id' });
+    },
+    // Money moved between the user's own accounts
+    (db) => {
+        db.createObjectStore(TRANSFERS_STORE, { keyPath: 'id' });
+    }
+];
 
-    useEffect(() => {
-        if (!chartRef.current || !expenses.length) return;
+const DB_VERSION = DB_MIGRATIONS.length;
 
-        const categoryTotals = expenses.reduce((acc, expense) => {
-            acc[expense.category] = (acc[expense.category] || 0) + expense.amount;
-            return acc;
-        }, {});
+// Fired on window when this tab's database connection is closed for an upgrade in another tab
+const DB_VERSION_CHANGE_EVENT = 'expense-db-versionchange';
 
-        const data = {
-            labels: Object.keys(categoryTotals).map(cat => 
-                CATEGORIES.find(c => c.id === cat)?.name || cat
-            ),
-            datasets: [{
-                data: Object.values(categoryTotals),
-                backgroundColor: Object.keys(categoryTotals).map(cat =>
-                    CATEGORIES.find(c => c.id === cat)?.color || '#6b7280'
-                ),
-                borderWidth: 0
-            }]
-        };
+let databasePromise = null;
 
-        if (chartInstance.current) {
-            chartInstance.current.destroy();
-        }
+// Open the database once, running any migrations it needs
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const legacyKeys = [];
+            const legacyInvalid = [];
 
-        chartInstance.current = new Chart(chartRef.current, {
-            type: 'doughnut',
-            data: data,
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            color: document.body.classList.contains('dark') ? '#f8fafc' : '#111827',
-                            font: {
-                                size: 12
-                            }
-                        }
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => {
-                                const label = context.label || '';
-                                const value = context.raw || 0;
-                                return `${label}: ${formatPKR(value)}`;
-                            }
-                        }
-                    }
-                },
-                cutout: '70%'
-            }
+            request.onupgradeneeded = (event) => {
+                DB_MIGRATIONS.slice(event.oldVersion).forEach(migrate =>
+                    migrate(request.result, request.transaction, legacyKeys, legacyInvalid)
+                );
+                // Legacy data is only dropped once the upgrade has committed
+                request.transaction.oncomplete = () => {
+                    legacyKeys.forEach(key => localStorage.removeItem(key));
+                };
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // A newer version of the app is upgrading the database in another tab; close this
+                // connection so the upgrade is not blocked, and let the app ask for a reload
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                    window.dispatchEvent(new Event(DB_VERSION_CHANGE_EVENT));
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Close other tabs of the app to finish upgrading its storage'));
+        }).catch(error => {
+            databasePromise = null;
+            throw error;
         });
+    }
+    return databasePromise;
+};
 
-        return () => {
-            if (chartInstance.current) {
-                chartInstance.current.destroy();
-            }
-        };
-    }, [expenses]);
+// Run a request-producing callback in a transaction and resolve once it commits
+const runTransaction = async (storeName, mode, callback) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+};
 
-    return <canvas ref={chartRef}></canvas>;
+// Load every record from a store, newest first, decrypting records sealed with the app lock key
+const loadRecordsFromStorage = async (storeName, key = null) => {
+    const stored = await runTransaction(storeName, 'readonly', store => store.getAll());
+    const records = await Promise.all(stored.map(record =>
+        record.encrypted ? decryptJSON(record.encrypted, key) : record
+    ));
+    return records.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
 };
 
-const TrendChart = ({ expenses }) => {
-    const chartRef = useRef(null);
-    const chartInstance = useRef(null);
+// Work out which records were added, changed or removed between two versions of a list
+const diffRecords = (previous, next) => {
+    const previousById = new Map(previous.map(record => [record.id, record]));
+    const nextIds = new Set(next.map(record => record.id));
+    return {
+        puts: next.filter(record => previousById.get(record.id) !== record),
+        deletes: previous.filter(record => !nextIds.has(record.id)).map(record => record.id)
+    };
+};
 
-    useEffect(() => {
-        if (!chartRef.current || !expenses.length) return;
+// Write only what changed; without a known previous state the store is rewritten.
+// With a key, only the id is stored in the clear. Resolves with the changes that were written.
+const saveRecordsToStorage = async (storeName, previous, next, key = null) => {
+    const { puts, deletes } = previous ? diffRecords(previous, next) : { puts: next, deletes: [] };
+    // Encrypt before opening the transaction, which would otherwise commit while we wait
+    const records = key
+        ? await Promise.all(puts.map(async record => ({ id: record.id, encrypted: await encryptJSON(record, key) })))
+        : puts;
 
-        // Group by date for last 7 days
-        const last7Days = [];
-        const today = new Date();
-        
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            last7Days.push(date.toISOString().split('T')[0]);
+    await runTransaction(storeName, 'readwrite', store => {
+        if (!previous) {
+            store.clear();
         }
+        records.forEach(record => store.put(record));
+        deletes.forEach(id => store.delete(id));
+        return null;
+    });
+    return { puts, deletes, cleared: !previous };
+};
 
-        const dailyTotals = last7Days.map(date => {
-            return expenses
-                .filter(e => e.date === date)
-                .reduce((sum, e) => sum + e.amount, 0);
-        });
+// Multi-tab sync: each tab announces the records it wrote so other open tabs can merge them
+const SYNC_CHANNEL_NAME = 'expense_tracker_sync';
 
-        if (chartInstance.current) {
-            chartInstance.current.destroy();
-        }
+// Time a record was last changed, used to settle edits made in two tabs
+const getRecordTime = (record) => record.updatedAt || record.createdAt || 0;
 
-        chartInstance.current = new Chart(chartRef.current, {
-            type: 'line',
-            data: {
-                labels: last7Days.map(date => {
-                    const d = new Date(date);
-                    return d.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-                }),
-                datasets: [{
-                    label: 'Daily Expenses',
-                    data: dailyTotals,
-                    borderColor: '#6366f1',
-                    backgroundColor: 'rgba(99, 102, 241, 0.1)',
-                    tension: 0.4,
-                    fill: true,
-                    pointBackgroundColor: '#6366f1',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointRadius: 4,
-                    pointHoverRadius: 6
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => {
-                                return `Amount: ${formatPKR(context.raw)}`;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        grid: {
-                            color: document.body.classList.contains('dark') ? '#334155' : '#e2e8f0'
-                        },
-                        ticks: {
-                            color: document.body.classList.contains('dark') ? '#f8fafc' : '#111827',
-                            callback: (value) => formatPKR(value)
-                        }
-                    },
-                    x: {
-                        grid: {
-                            display: false
-                        },
-                        ticks: {
-                            color: document.body.classList.contains('dark') ? '#f8fafc' : '#111827',
-                            maxRotation: 45,
-                            minRotation: 45
-                        }
-                    }
-                }
-            }
-        });
+// Replay another tab's write on a list that mirrors the store
+const applyRecordChanges = (records, { puts, deletes, cleared }) => {
+    const changedIds = new Set([...puts.map(record => record.id), ...deletes]);
+    const kept = cleared ? [] : records.filter(record => !changedIds.has(record.id));
+    return [...puts, ...kept];
+};
 
-        return () => {
-            if (chartInstance.current) {
-                chartInstance.current.destroy();
-            }
-        };
-    }, [expenses]);
+// Merge another tab's write into the in-memory list. A record keeps its local version only
+// when it was changed here after the other tab's copy (or, for removals, after the write).
+const mergeSyncedRecords = (records, { puts, deletes, cleared, at }) => {
+    const incoming = new Map(puts.map(record => [record.id, record]));
+    const removed = new Set(deletes);
 
-    return <canvas ref={chartRef}></canvas>;
+    const merged = records.flatMap(record => {
+        const remote = incoming.get(record.id);
+        if (remote) {
+            incoming.delete(record.id);
+            return [getRecordTime(record) > getRecordTime(remote) ? record : remote];
+        }
+        if (cleared || removed.has(record.id)) {
+            return getRecordTime(record) > at ? [record] : [];
+        }
+        return [record];
+    });
+    return [...incoming.values(), ...merged];
 };
 
-// Toast Component
-const Toast = ({ message, type, onClose }) => {
-    useEffect(() => {
-        const timer = setTimeout(onClose, 3000);
-        return () => clearTimeout(timer);
-    }, [onClose]);
+// Schema version for stored and exported transactions; bump it and add a migration when their shape changes
+const RECORD_SCHEMA_VERSION = 2;
 
-    return (
-        <div className={`toast ${type}`}>
-            <i className={`fas ${type === 'success' ? 'fa-check-circle' : 
-                             type === 'error' ? 'fa-exclamation-circle' :
-                             type === 'warning' ? 'fa-exclamation-triangle' : 'fa-info-circle'}`}></i>
-            <span>{message}</span>
-            <button className="modal-close" onClick={onClose}>&times;</button>
-        </div>
-    );
+// Record migrations; migration N upgrades a record from version N to N + 1
+const RECORD_MIGRATIONS = {
+    // Version 1 records predate income and currencies, so those fields fall back to what the app assumed then
+    1: (record) => ({
+        ...record,
+        type: record.type || 'expense',
+        currency: record.currency || BASE_CURRENCY
+    })
 };
 
-// Main App Component
-function App() {
-    const [currentScreen, setCurrentScreen] = useState(SCREEN.DASHBOARD);
-    const [expenses, setExpenses] = useState([]);
-    const [selectedExpense, setSelectedExpense] = useState(null);
-    const [darkMode, setDarkMode] = useState(() => {
-        const saved = localStorage.getItem('darkMode');
-        return saved ? JSON.parse(saved) : false;
-    });
-    const [isLoading, setIsLoading] = useState(true);
-    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-    const [activeDropdown, setActiveDropdown] = useState(null);
-    const [toasts, setToasts] = useState([]);
-    const [validationErrors, setValidationErrors] = useState({});
-    const [searchTerm, setSearchTerm] = useState('');
-    const [filterCategory, setFilterCategory] = useState('all');
-    const [sortBy, setSortBy] = useState('date-desc');
-    const [selectedExpenses, setSelectedExpenses] = useState([]);
-    const [isExportModalOpen, setIsExportModalOpen] = useState(false);
-    const [exportFormat, setExportFormat] = useState('json');
+// Coerce a stored amount such as 1500, "1500", "Rs. 1,500" or "1.500,50" to a number.
+// Anything that can't be read unambiguously is NaN, so the record goes to Data Recovery
+// instead of being saved with a guessed amount.
+const parseStoredAmount = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
 
-    const [formData, setFormData] = useState({
-        title: '',
-        amount: '',
-        category: 'food',
-        date: new Date().toISOString().split('T')[0],
-        notes: ''
-    });
+    const text = value.trim()
+        .replace(/^(rs\.?|pkr|₨)\s*/i, '')
+        .replace(/\s*(rs\.?|pkr|₨)$/i, '')
+        .replace(/\s/g, '');
+    const match = text.match(/^(-?)([\d.,]+)$/);
+    if (!match) return NaN;
+    const [, sign, digits] = match;
 
-    const titleInputRef = useRef(null);
-    const modalRef = useRef(null);
-    const searchInputRef = useRef(null);
+    // With both separators, the last one is the decimal point and the other groups thousands
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    let normalized = null;
+    if (lastDot >= 0 && lastComma >= 0) {
+        if (lastDot > lastComma && /^\d{1,3}(,\d{3})*\.\d+$/.test(digits)) {
+            normalized = digits.replace(/,/g, '');
+        } else if (lastComma > lastDot && /^\d{1,3}(\.\d{3})*,\d+$/.test(digits)) {
+            normalized = digits.replace(/\./g, '').replace(',', '.');
+        }
+    } else if (lastComma >= 0) {
+        // Commas only count as thousands separators: "1,500" or "1,50,000"
+        if (/^\d{1,3}(,\d{2,3})*,\d{3}$/.test(digits)) {
+            normalized = digits.replace(/,/g, '');
+        }
+    } else if (/^[1-9]\d{0,2}\.\d{3}$/.test(digits)) {
+        // "1.500" could be 1.5 or 1500
+        normalized = null;
+    } else if (/^\d+(\.\d+)?$/.test(digits)) {
+        normalized = digits;
+    } else if (/^\d{1,3}(\.\d{3}){2,}$/.test(digits)) {
+        // "1.500.000"
+        normalized = digits.replace(/\./g, '');
+    }
 
-    // Load initial data from localStorage
-    useEffect(() => {
-        const loadData = () => {
-            const savedExpenses = loadExpensesFromStorage();
-            setExpenses(savedExpenses);
-            setIsLoading(false);
-        };
-        
-        // Simulate loading for smooth UX
-        setTimeout(loadData, 500);
-    }, []);
+    return normalized === null ? NaN : Number(`${sign}${normalized}`);
+};
 
-    // Save expenses to localStorage whenever they change
-    useEffect(() => {
-        if (!isLoading) {
-            saveExpensesToStorage(expenses);
-        }
-    }, [expenses, isLoading]);
+// Coerce a stored date to YYYY-MM-DD, or return null when it is not a real date
+const normalizeStoredDate = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
 
-    // Save dark mode preference
-    useEffect(() => {
-        localStorage.setItem('darkMode', JSON.stringify(darkMode));
-        document.body.className = darkMode ? 'dark' : '';
-    }, [darkMode]);
+// Migrate a record to the current schema and repair what can be repaired; reports errors otherwise
+const normalizeTransaction = (raw, fallbackVersion = 1) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { record: null, errors: ['Not a transaction object'] };
+    }
 
-    // Auto focus on title input when add/edit screen opens
-    useEffect(() => {
-        if ((currentScreen === SCREEN.ADD || currentScreen === SCREEN.EDIT) && titleInputRef.current) {
-            setTimeout(() => titleInputRef.current.focus(), 100);
+    let version = Number(raw.schemaVersion) || fallbackVersion;
+    if (version > RECORD_SCHEMA_VERSION) {
+        return { record: null, errors: [`Saved by a newer version of the app (schema ${version})`] };
+    }
+    let record = raw;
+    while (version < RECORD_SCHEMA_VERSION) {
+        record = RECORD_MIGRATIONS[version](record);
+        version++;
+    }
+
+    const title = typeof record.title === 'string' ? record.title.trim() : '';
+    const amount = parseStoredAmount(record.amount);
+    const date = normalizeStoredDate(record.date);
+    const errors = [];
+    if (!title) errors.push('Missing title');
+    if (!(amount > 0)) errors.push(`Invalid amount "${record.amount ?? ''}"`);
+    if (!date) errors.push(`Invalid date "${record.date ?? ''}"`);
+    if (errors.length > 0) {
+        return { record: null, errors };
+    }
+
+    const type = record.type === 'income' ? 'income' : 'expense';
+    const originalAmount = parseStoredAmount(record.originalAmount);
+    const normalized = {
+        ...record,
+        schemaVersion: RECORD_SCHEMA_VERSION,
+        id: record.id !== undefined && record.id !== null && record.id !== '' ? String(record.id) : crypto.randomUUID(),
+        type,
+        title,
+        amount,
+        currency: isValidCurrencyCode(record.currency) ? record.currency : BASE_CURRENCY,
+        originalAmount: originalAmount > 0 ? originalAmount : amount,
+        category: typeof record.category === 'string' && record.category
+            ? record.category
+            : (type === 'income' ? 'other-income' : 'other'),
+        date,
+        notes: typeof record.notes === 'string' ? record.notes : '',
+        createdAt: Number.isFinite(record.createdAt) ? record.createdAt : (Date.parse(date) || Date.now())
+    };
+
+    // Tags are cleaned up, and an empty list is dropped
+    if (record.tags !== undefined) {
+        const tags = parseTags(record.tags);
+        const isClean = Array.isArray(record.tags) && tags.length === record.tags.length &&
+            tags.every((tag, index) => tag === record.tags[index]);
+        if (tags.length === 0) {
+            delete normalized.tags;
+        } else if (!isClean) {
+            normalized.tags = tags;
         }
-    }, [currentScreen]);
+    }
 
-    // Click outside handler for modals
-    useEffect(() => {
-        const handleClickOutside = (event) => {
-            if (modalRef.current && !modalRef.current.contains(event.target)) {
-                setIsExportModalOpen(false);
-            }
-        };
+    // Attachments that cannot be displayed are dropped, and an empty list with them
+    if (record.attachments !== undefined) {
+        const attachments = Array.isArray(record.attachments) ? record.attachments.filter(isStoredAttachment) : [];
+        if (attachments.length === 0) {
+            delete normalized.attachments;
+        } else if (attachments.length !== record.attachments.length) {
+            normalized.attachments = attachments;
+        }
+    }
 
-        document.addEventListener('mousedown', handleClickOutside);
-        return () => document.removeEventListener('mousedown', handleClickOutside);
-    }, []);
+    // A malformed split would break the People balances, so the expense is kept unsplit
+    if (record.split !== undefined && !isStoredSplit(record.split)) {
+        delete normalized.split;
+    }
 
-    // Keyboard shortcuts
-    useEffect(() => {
-        const handleKeyPress = (e) => {
-            // Ctrl/Cmd + N for new expense
-            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
-                e.preventDefault();
-                navigateTo(SCREEN.ADD);
-            }
-            // Ctrl/Cmd + F for search (only in reports)
-            if ((e.ctrlKey || e.metaKey) && e.key === 'f' && currentScreen === SCREEN.REPORTS) {
-                e.preventDefault();
-                searchInputRef.current?.focus();
-            }
-            // Escape to close modals
-            if (e.key === 'Escape') {
-                setIsExportModalOpen(false);
-                setMobileMenuOpen(false);
-                setActiveDropdown(null);
-            }
-        };
+    // Hand back the original object when nothing changed so it is not written again
+    const keys = new Set([...Object.keys(raw), ...Object.keys(normalized)]);
+    const unchanged = [...keys].every(key => raw[key] === normalized[key]);
+    return { record: unchanged ? raw : normalized, errors: [] };
+};
 
-        document.addEventListener('keydown', handleKeyPress);
-        return () => document.removeEventListener('keydown', handleKeyPress);
-    }, [currentScreen]);
+// Split records into normalized transactions and ones that could not be repaired
+const validateTransactions = (records, fallbackVersion = 1) => records.reduce((result, raw) => {
+    const { record, errors } = normalizeTransaction(raw, fallbackVersion);
+    if (record) {
+        result.valid.push(record);
+    } else {
+        result.invalid.push({ record: raw, errors });
+    }
+    return result;
+}, { valid: [], invalid: [] });
 
-    // Toast functions
-    const showToast = useCallback((message, type = 'info') => {
-        const id = Date.now();
-        setToasts(prev => [...prev, { id, message, type }]);
-    }, []);
+// Wrap records that failed validation for the recovery screen
+const toRecoveryEntries = (invalid, source) => invalid.map(({ record, errors }) => ({
+    id: crypto.randomUUID(),
+    source,
+    errors,
+    record,
+    foundAt: Date.now()
+}));
 
-    const removeToast = useCallback((id) => {
-        setToasts(prev => prev.filter(toast => toast.id !== id));
-    }, []);
+// JSON backup file: versioned envelope around the transactions, settle-up payments, accounts and transfers
+const buildBackup = (transactions, { settlements = [], accounts = [], transfers = [] } = {}) => ({
+    schemaVersion: RECORD_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    transactions,
+    settlements,
+    accounts,
+    transfers
+});
 
-    // Memoized calculations
-    const totalExpenses = useMemo(() => 
-        expenses.reduce((sum, expense) => sum + expense.amount, 0), [expenses]
-    );
+// Records of one kind from a backup, dropping malformed ones rather than failing the whole import
+const readBackupRecords = (records, isValid) => Array.isArray(records) ? records.filter(isValid) : [];
 
-    const todayString = useMemo(() => new Date().toISOString().split('T')[0], []);
+// Read records from a parsed backup; older backups are a bare array of version 1 records
+const readBackup = (data) => {
+    if (Array.isArray(data)) {
+        return { version: 1, transactions: data, settlements: [], accounts: [], transfers: [] };
+    }
+    if (data && Array.isArray(data.transactions)) {
+        return {
+            version: Number(data.schemaVersion) || 1,
+            transactions: data.transactions,
+            settlements: readBackupRecords(data.settlements, isStoredSettlement),
+            accounts: readBackupRecords(data.accounts, isStoredAccount),
+            transfers: readBackupRecords(data.transfers, isStoredTransfer)
+        };
+    }
+    return null;
+};
 
-    const todayExpenses = useMemo(() => 
-        expenses
-            .filter(expense => expense.date === todayString)
-            .reduce((sum, expense) => sum + expense.amount, 0), [expenses, todayString]
-    );
+// Records from a backup whose ids are not already stored
+const getNewBackupRecords = (existing, incoming) => {
+    const ids = new Set(existing.map(record => record.id));
+    return incoming.filter(record => !ids.has(record.id));
+};
 
-    const monthlyExpenses = useMemo(() => {
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        return expenses
-            .filter(expense => {
-                const expenseDate = new Date(expense.date);
-                return expenseDate.getMonth() === currentMonth && 
-                       expenseDate.getFullYear() === currentYear;
-            })
-            .reduce((sum, expense) => sum + expense.amount, 0);
-    }, [expenses]);
+// Encrypted backups: the JSON backup sealed with AES-GCM under a key derived from a passphrase (PBKDF2)
+const ENCRYPTED_BACKUP_FORMAT = 'expense-tracker-encrypted';
+const PBKDF2_ITERATIONS = 250000;
+// Iteration counts accepted from a backup file: weaker ones are refused, and huge ones would hang the import
+const MIN_BACKUP_PBKDF2_ITERATIONS = 10000;
+const MAX_BACKUP_PBKDF2_ITERATIONS = 10000000;
+const MIN_PASSPHRASE_LENGTH = 8;
 
-    const averageExpense = useMemo(() => 
-        expenses.length > 0 ? totalExpenses / expenses.length : 0, [expenses, totalExpenses]
-    );
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
 
-    const categoryTotals = useMemo(() => {
-        return expenses.reduce((result, expense) => {
-            result[expense.category] = (result[expense.category] || 0) + expense.amount;
-            return result;
-        }, {});
-    }, [expenses]);
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
 
-    const topCategories = useMemo(() => {
-        return Object.entries(categoryTotals)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 5)
-            .map(([category, amount]) => ({
-                category,
-                amount,
-                name: CATEGORIES.find(c => c.id === category)?.name || category,
-                icon: CATEGORIES.find(c => c.id === category)?.icon || 'fa-tag',
-                color: CATEGORIES.find(c => c.id === category)?.color || '#6b7280'
-            }));
-    }, [categoryTotals]);
-
-    // Filtered and sorted expenses
-    const filteredExpenses = useMemo(() => {
-        return expenses
-            .filter(expense => {
-                // Search filter
-                const matchesSearch = expense.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                                     expense.notes?.toLowerCase().includes(searchTerm.toLowerCase());
-                
-                // Category filter
-                const matchesCategory = filterCategory === 'all' || expense.category === filterCategory;
-                
-                return matchesSearch && matchesCategory;
-            })
-            .sort((a, b) => {
-                switch(sortBy) {
-                    case 'date-desc':
-                        return new Date(b.date) - new Date(a.date);
-                    case 'date-asc':
-                        return new Date(a.date) - new Date(b.date);
-                    case 'amount-desc':
-                        return b.amount - a.amount;
-                    case 'amount-asc':
-                        return a.amount - b.amount;
-                    case 'title-asc':
-                        return a.title.localeCompare(b.title);
-                    case 'title-desc':
-                        return b.title.localeCompare(a.title);
-                    default:
-                        return 0;
-                }
-            });
-    }, [expenses, searchTerm, filterCategory, sortBy]);
+// Derive an AES-GCM key from a passphrase or PIN
+const derivePassphraseKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
 
-    const recentExpenses = useMemo(() => 
-        filteredExpenses.slice(0, 5), [filteredExpenses]
+// Encrypt any JSON value, returning the base64 IV and ciphertext
+const encryptJSON = async (value, key) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
     );
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+};
 
-    // Validation
-    const validateForm = (data) => {
-        const errors = {};
-        
-        if (!data.title.trim()) {
-            errors.title = 'Title is required';
-        } else if (data.title.length < 3) {
-            errors.title = 'Title must be at least 3 characters';
-        }
-        
-        if (!data.amount) {
-            errors.amount = 'Amount is required';
-        } else if (isNaN(data.amount) || Number(data.amount) <= 0) {
-            errors.amount = 'Amount must be a positive number';
-        } else if (Number(data.amount) > 10000000) {
-            errors.amount = 'Amount cannot exceed 10 million PKR';
-        }
-        
-        if (!data.category) {
-            errors.category = 'Category is required';
-        }
-        
-        if (!data.date) {
-            errors.date = 'Date is required';
-        } else {
-            const selectedDate = new Date(data.date);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            if (selectedDate > today) {
-                errors.date = 'Date cannot be in the future';
-            }
-        }
-        
-        return errors;
-    };
+// Reverse encryptJSON; rejects when the key is wrong or the data was altered
+const decryptJSON = async ({ iv, data }, key) => {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+};
 
-    // Handlers
-    const handleInputChange = (event) => {
-        const { name, value } = event.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
-        
-        // Clear validation error for this field
-        if (validationErrors[name]) {
-            setValidationErrors(prev => ({ ...prev, [name]: '' }));
-        }
+// Encrypt a backup object into a self-describing JSON envelope
+const encryptBackup = async (backup, passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const { iv, data } = await encryptJSON(backup, key);
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv },
+        data
     };
+};
 
-    const handleAddExpense = useCallback((event) => {
-        event.preventDefault();
-        
-        const errors = validateForm(formData);
-        if (Object.keys(errors).length > 0) {
-            setValidationErrors(errors);
-            showToast('Please fix the errors in the form', 'error');
-            return;
-        }
+const isEncryptedBackup = (data) => data?.format === ENCRYPTED_BACKUP_FORMAT;
 
-        const newExpense = {
-            id: crypto.randomUUID(),
-            ...formData,
-            amount: Number(formData.amount),
-            createdAt: Date.now()
-        };
+// Decrypt an envelope made by encryptBackup; AES-GCM cannot tell a wrong passphrase from a modified file
+const decryptBackup = async (envelope, passphrase) => {
+    const { kdf, cipher } = envelope;
+    if (
+        kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher?.name !== 'AES-GCM' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_BACKUP_PBKDF2_ITERATIONS || kdf.iterations > MAX_BACKUP_PBKDF2_ITERATIONS
+    ) {
+        throw new Error('The encrypted backup is damaged or uses an unsupported format');
+    }
 
-        setExpenses(prev => [newExpense, ...prev]);
-        setFormData({
-            title: '',
-            amount: '',
-            category: 'food',
-            date: new Date().toISOString().split('T')[0],
-            notes: ''
-        });
-        setCurrentScreen(SCREEN.DASHBOARD);
-        showToast('Expense added successfully!', 'success');
-    }, [formData, showToast]);
+    let salt;
+    try {
+        salt = base64ToBytes(envelope.kdf.salt);
+        base64ToBytes(envelope.cipher.iv);
+        base64ToBytes(envelope.data);
+    } catch (error) {
+        throw new Error('The encrypted backup is damaged and cannot be read');
+    }
 
-    const handleEditExpense = useCallback((event) => {
-        event.preventDefault();
-        
-        if (!selectedExpense) return;
-        
-        const errors = validateForm(formData);
-        if (Object.keys(errors).length > 0) {
-            setValidationErrors(errors);
-            showToast('Please fix the errors in the form', 'error');
-            return;
-        }
+    try {
+        const key = await derivePassphraseKey(passphrase, salt, envelope.kdf.iterations);
+        return await decryptJSON({ iv: envelope.cipher.iv, data: envelope.data }, key);
+    } catch (error) {
+        throw new Error('Wrong passphrase, or the file has been modified since it was exported');
+    }
+};
 
-        const updatedExpense = {
-            ...selectedExpense,
-            ...formData,
-            amount: Number(formData.amount),
-            updatedAt: Date.now()
-        };
+// App lock: a PIN-derived key encrypts stored transactions; only a salt and an encrypted check value are kept
+const LOCK_STORAGE_KEY = 'lock_pkr';
+const LOCK_VERIFIER = 'expense-tracker-lock';
+const MIN_PIN_LENGTH = 4;
 
-        setExpenses(prev => prev.map(expense => 
-            expense.id === selectedExpense.id ? updatedExpense : expense
-        ));
-        setSelectedExpense(null);
-        setCurrentScreen(SCREEN.DASHBOARD);
-        showToast('Expense updated successfully!', 'success');
-    }, [selectedExpense, formData, showToast]);
+// Minutes of inactivity before the app locks itself; 0 never auto-locks
+const AUTO_LOCK_OPTIONS = [
+    { minutes: 1, name: '1 minute' },
+    { minutes: 5, name: '5 minutes' },
+    { minutes: 15, name: '15 minutes' },
+    { minutes: 30, name: '30 minutes' },
+    { minutes: 0, name: 'Never' }
+];
 
-    const handleDeleteExpense = useCallback((expenseId) => {
-        if (window.confirm('Are you sure you want to delete this expense?')) {
-            setExpenses(prev => prev.filter(expense => expense.id !== expenseId));
-            setSelectedExpenses(prev => prev.filter(id => id !== expenseId));
-            if (selectedExpense?.id === expenseId) {
-                setSelectedExpense(null);
-            }
-            showToast('Expense deleted successfully!', 'success');
-        }
-    }, [selectedExpense, showToast]);
+const DEFAULT_LOCK_SETTINGS = {
+    enabled: false,
+    salt: '',
+    iterations: PBKDF2_ITERATIONS,
+    verifier: null,
+    autoLockMinutes: 5
+};
 
-    const handleBulkDelete = useCallback(() => {
-        if (selectedExpenses.length === 0) {
-            showToast('No expenses selected', 'warning');
-            return;
+// Load app lock settings from localStorage
+const loadLockSettingsFromStorage = () => {
+    try {
+        const stored = localStorage.getItem(LOCK_STORAGE_KEY);
+        if (stored) {
+            return { ...DEFAULT_LOCK_SETTINGS, ...JSON.parse(stored) };
         }
+    } catch (error) {
+        console.error('Error loading lock settings:', error);
+    }
+    return DEFAULT_LOCK_SETTINGS;
+};
 
-        if (window.confirm(`Are you sure you want to delete ${selectedExpenses.length} expenses?`)) {
-            setExpenses(prev => prev.filter(expense => !selectedExpenses.includes(expense.id)));
-            setSelectedExpenses([]);
-            if (selectedExpense && selectedExpenses.includes(selectedExpense.id)) {
-                setSelectedExpense(null);
-            }
-            showToast(`${selectedExpenses.length} expenses deleted successfully!`, 'success');
-        }
-    }, [selectedExpenses, selectedExpense, showToast]);
+// Save app lock settings to localStorage
+const saveLockSettingsToStorage = (settings) => {
+    try {
+        localStorage.setItem(LOCK_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving lock settings:', error);
+    }
+};
 
-    const handleSelectExpense = useCallback((expenseId) => {
-        setSelectedExpenses(prev => 
-            prev.includes(expenseId) 
-                ? prev.filter(id => id !== expenseId)
-                : [...prev, expenseId]
-        );
-    }, []);
+// Derive the data key from a PIN, rejecting when it does not open the stored check value
+const unlockWithPin = async (pin, settings) => {
+    const key = await derivePassphraseKey(pin, base64ToBytes(settings.salt), settings.iterations);
+    if (await decryptJSON(settings.verifier, key) !== LOCK_VERIFIER) {
+        throw new Error('Incorrect PIN');
+    }
+    return key;
+};
 
-    const handleSelectAll = useCallback(() => {
-        if (selectedExpenses.length === filteredExpenses.length) {
-            setSelectedExpenses([]);
-        } else {
-            setSelectedExpenses(filteredExpenses.map(e => e.id));
+// Create lock settings and the matching data key for a new PIN
+const createPinLock = async (pin, autoLockMinutes) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePassphraseKey(pin, salt, PBKDF2_ITERATIONS);
+    return {
+        key,
+        settings: {
+            enabled: true,
+            salt: bytesToBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            verifier: await encryptJSON(LOCK_VERIFIER, key),
+            autoLockMinutes
         }
-    }, [selectedExpenses.length, filteredExpenses]);
+    };
+};
 
-    const openEditModal = useCallback((expense) => {
-        setSelectedExpense(expense);
-        setFormData({
-            title: expense.title,
-            amount: expense.amount.toString(),
-            category: expense.category,
-            date: expense.date,
-            notes: expense.notes || ''
-        });
-        setCurrentScreen(SCREEN.EDIT);
-    }, []);
+// Preferences are kept in localStorage as JSON. While the app lock is on they are stored as
+// { encrypted } (see persistPreference in App) and only read once the app has been unlocked.
+const readStoredJSON = (key) => {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored === null ? undefined : JSON.parse(stored);
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return undefined;
+    }
+};
 
-    const exportData = useCallback(() => {
-        let dataToExport = selectedExpenses.length > 0 
-            ? expenses.filter(e => selectedExpenses.includes(e.id))
-            : expenses;
+// A preference as stored, with encrypted values read as missing
+const readPreference = (key) => {
+    const stored = readStoredJSON(key);
+    return stored?.encrypted ? undefined : stored;
+};
 
-        let blob;
-        let filename;
+// A preference as stored, decrypted with the app lock key when needed
+const readPreferenceWithKey = async (key, dataKey) => {
+    const stored = readStoredJSON(key);
+    return stored?.encrypted ? decryptJSON(stored.encrypted, dataKey) : stored;
+};
 
-        switch(exportFormat) {
-            case 'csv':
-                // Convert to CSV
-                const headers = ['Title', 'Amount (PKR)', 'Category', 'Date', 'Notes'];
-                const csvData = dataToExport.map(e => 
-                    [e.title, e.amount, e.category, e.date, e.notes || ''].join(',')
-                );
-                const csv = [headers.join(','), ...csvData].join('\n');
-                blob = new Blob([csv], { type: 'text/csv' });
-                filename = `expenses_${new Date().toISOString().split('T')[0]}.csv`;
-                break;
-            
-            case 'json':
-            default:
-                blob = new Blob([JSON.stringify(dataToExport, null, 2)], { type: 'application/json' });
-                filename = `expenses_${new Date().toISOString().split('T')[0]}.json`;
-        }
+const writePreference = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+    }
+};
 
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        link.click();
-        URL.revokeObjectURL(url);
-        
-        setIsExportModalOpen(false);
-        showToast(`${dataToExport.length} expenses exported successfully!`, 'success');
-    }, [expenses, selectedExpenses, exportFormat, showToast]);
+// Categories from a stored value, or the defaults
+const loadCategoriesFromStorage = (stored = readPreference(CATEGORIES_STORAGE_KEY)) =>
+    Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_CATEGORIES;
 
-    const importData = useCallback((event) => {
-        const file = event.target.files[0];
-        if (!file) return;
+// Accounts (payment methods) that expenses are paid from and income is received into
+const ACCOUNTS_STORAGE_KEY = 'accounts_pkr';
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importedData = JSON.parse(e.target.result);
-                if (Array.isArray(importedData)) {
-                    // Validate each expense has required fields
-                    const validExpenses = importedData.filter(e => 
-                        e.title && e.amount && e.category && e.date
-                    ).map(e => ({
-                        ...e,
-                        id: e.id || crypto.randomUUID(),
-                        amount: Number(e.amount),
-                        createdAt: e.createdAt || Date.now()
-                    }));
-
-                    setExpenses(prev => [...validExpenses, ...prev]);
-                    showToast(`${validExpenses.length} expenses imported successfully!`, 'success');
-                } else {
-                    showToast('Invalid file format', 'error');
-                }
-            } catch (error) {
-                showToast('Error importing file', 'error');
-            }
-        };
-        reader.readAsText(file);
-        
-        // Reset file input
-        event.target.value = '';
-    }, [showToast]);
+const ACCOUNT_TYPES = [
+    { id: 'cash', name: 'Cash', icon: 'fa-money-bill-wave' },
+    { id: 'bank', name: 'Bank Account', icon: 'fa-university' },
+    { id: 'wallet', name: 'Mobile Wallet (JazzCash, Easypaisa)', icon: 'fa-mobile-alt' },
+    { id: 'credit', name: 'Credit Card', icon: 'fa-credit-card' }
+];
 
-    // Navigation
-    const navigateTo = useCallback((screen, expense = null) => {
-        setMobileMenuOpen(false);
-        setActiveDropdown(null);
-        
-        if (expense) {
-            setSelectedExpense(expense);
-            setFormData({
-                title: expense.title,
-                amount: expense.amount.toString(),
-                category: expense.category,
-                date: expense.date,
-                notes: expense.notes || ''
-            });
-        } else {
-            setSelectedExpense(null);
-            if (screen === SCREEN.ADD) {
-                setFormData({
-                    title: '',
-                    amount: '',
-                    category: 'food',
-                    date: new Date().toISOString().split('T')[0],
-                    notes: ''
-                });
-            }
-        }
-        
-        setCurrentScreen(screen);
-    }, []);
+const DEFAULT_ACCOUNTS = [
+    { id: 'cash', name: 'Cash', type: 'cash', openingBalance: 0 }
+];
 
-    // Render functions for each screen
-    const renderDashboard = () => (
-        <div className="screen">
-            <div className="dashboard-header">
-                <h1>Dashboard</h1>
-                <p>Welcome back! Here's your financial overview in Pakistani Rupees.</p>
-            </div>
+// Accounts from a stored value, or the defaults
+const loadAccountsFromStorage = (stored = readPreference(ACCOUNTS_STORAGE_KEY)) =>
+    Array.isArray(stored) ? stored : DEFAULT_ACCOUNTS;
 
-            <div className="stats-grid">
-                <div className="stat-card">
-                    <div className="stat-icon">
-                        <i className="fas fa-wallet"></i>
-                    </div>
-                    <div className="stat-content">
+const getAccountType = (type) => ACCOUNT_TYPES.find(t => t.id === type) || ACCOUNT_TYPES[0];
+
+// Shape checks for accounts and transfers read from a backup
+const isStoredAccount = (account) =>
+    Boolean(account) &&
+    typeof account.id === 'string' && account.id !== '' &&
+    typeof account.name === 'string' && account.name.trim() !== '' &&
+    ACCOUNT_TYPES.some(type => type.id === account.type) &&
+    Number.isFinite(Number(account.openingBalance || 0));
+
+const isStoredTransfer = (transfer) =>
+    Boolean(transfer) &&
+    typeof transfer.id === 'string' && transfer.id !== '' &&
+    typeof transfer.from === 'string' && transfer.from !== '' &&
+    typeof transfer.to === 'string' && transfer.to !== '' &&
+    transfer.from !== transfer.to &&
+    Number.isFinite(transfer.amount) && transfer.amount > 0 &&
+    typeof transfer.date === 'string' && transfer.date !== '';
+
+// Account preselected on the add form
+const getDefaultAccountId = (accounts) => accounts[0]?.id || '';
+
+// Every movement in an account, oldest first, with the balance after each one.
+// Expenses and outgoing transfers are negative; amounts are in the base currency.
+// A split expense someone else paid never left the user's account, so it is left out.
+const getAccountLedger = (account, transactions, transfers) => {
+    const entries = [
+        ...transactions
+            .filter(transaction => transaction.account === account.id &&
+                !(transaction.split && transaction.split.paidBy !== SELF_PERSON))
+            .map(transaction => ({
+                id: transaction.id,
+                date: transaction.date,
+                createdAt: transaction.createdAt,
+                title: transaction.title,
+                amount: isIncome(transaction) ? transaction.amount : -transaction.amount
+            })),
+        ...transfers
+            .filter(transfer => transfer.from === account.id || transfer.to === account.id)
+            .map(transfer => ({
+                id: transfer.id,
+                date: transfer.date,
+                createdAt: transfer.createdAt,
+                title: transfer.notes || 'Transfer',
+                transfer,
+                amount: transfer.to === account.id ? transfer.amount : -transfer.amount
+            }))
+    ].sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || 0) - (b.createdAt || 0));
+
+    let balance = Number(account.openingBalance) || 0;
+    return entries.map(entry => {
+        balance = Math.round((balance + entry.amount) * 100) / 100;
+        return { ...entry, balance };
+    });
+};
+
+// Category preselected on the add form: 'food' while it is active, else the first active one
+const getDefaultCategoryId = (categories) => {
+    const active = categories.filter(c => !c.archived);
+    return active.find(c => c.id === 'food')?.id || active[0]?.id || '';
+};
+
+// Look up a category by id, falling back to a neutral placeholder for unknown ids
+const findCategory = (categories, id) =>
+    categories.find(c => c.id === id) || { id, name: id, icon: 'fa-tag', color: '#6b7280' };
+
+// Recurring rules from a stored value
+const loadRecurringRulesFromStorage = (stored = readPreference(RECURRING_STORAGE_KEY)) =>
+    Array.isArray(stored) ? stored : [];
+
+// Split expenses: the user is always "You"; everyone else is identified by name
+const SELF_PERSON = 'You';
+
+const SPLIT_METHODS = [
+    { id: 'equal', name: 'Equally' },
+    { id: 'percentage', name: 'By percentage' },
+    { id: 'exact', name: 'By exact amounts' }
+];
+
+// Blank split section of the expense form: you paid, shared with one other person
+const createEmptySplit = () => ({
+    paidBy: SELF_PERSON,
+    method: 'equal',
+    shares: [{ person: SELF_PERSON, value: '' }, { person: '', value: '' }]
+});
+
+// Shape check for a split stored on a transaction
+const isStoredSplit = (split) =>
+    Boolean(split) &&
+    SPLIT_METHODS.some(method => method.id === split.method) &&
+    typeof split.paidBy === 'string' &&
+    Array.isArray(split.shares) &&
+    split.shares.length > 0 &&
+    split.shares.every(share => typeof share?.person === 'string' && share.person !== '' &&
+        (split.method === 'equal' || (Number.isFinite(share.value) && share.value >= 0))) &&
+    (split.method === 'equal' || split.shares.some(share => share.value > 0));
+
+// Stored split as form state, with values as strings for the inputs
+const splitToFormData = (split) => ({
+    paidBy: split.paidBy,
+    method: split.method,
+    shares: split.shares.map(share => ({ person: share.person, value: share.value == null ? '' : String(share.value) }))
+});
+
+// A typed name in the spelling already on record, so "ali" and "Ali" stay one person
+const matchKnownPerson = (name, knownPeople) => {
+    const trimmed = name.trim();
+    const lower = trimmed.toLowerCase();
+    if (lower === SELF_PERSON.toLowerCase()) return SELF_PERSON;
+    return knownPeople.find(person => person.toLowerCase() === lower) || trimmed;
+};
+
+// Form split as stored on the expense; equal splits need no values
+const formDataToSplit = (split, knownPeople = []) => ({
+    paidBy: matchKnownPerson(split.paidBy, knownPeople),
+    method: split.method,
+    shares: split.shares.map(share => ({
+        person: matchKnownPerson(share.person, knownPeople),
+        value: split.method === 'equal' ? null : Number(share.value)
+    }))
+});
+
+// People a split can be paid by: you plus everyone named in it
+const getSplitPeople = (split) =>
+    [...new Set([SELF_PERSON, ...split.shares.map(share => share.person.trim()).filter(Boolean)])];
+
+// Check a form split against the expense amount; returns an error message or ''
+const validateSplit = (split, amount) => {
+    const names = split.shares.map(share => share.person.trim());
+    if (names.some(name => !name)) return 'Enter a name for everyone in the split';
+    if (names.length < 2) return 'A split needs at least two people';
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) return 'Each person can only appear once';
+    if (!getSplitPeople(split).includes(split.paidBy)) return 'Choose who paid';
+    if (split.method === 'equal') return '';
+
+    const values = split.shares.map(share => Number(share.value));
+    if (split.shares.some(share => share.value === '') || values.some(value => Number.isNaN(value) || value < 0)) {
+        return split.method === 'percentage' ? 'Enter a percentage for everyone' : 'Enter an amount for everyone';
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (split.method === 'percentage' && Math.abs(total - 100) > 0.01) {
+        return `Percentages add up to ${Math.round(total * 100) / 100}%, not 100%`;
+    }
+    if (split.method === 'exact' && Math.abs(total - amount) > 0.01) {
+        return `Amounts add up to ${Math.round(total * 100) / 100}, not ${amount}`;
+    }
+    return '';
+};
+
+// Divide an amount in proportion to weights, in whole paisa, so the shares always add up to the total
+const allocateAmount = (amount, weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const cents = Math.round(amount * 100);
+    let remaining = cents;
+    return weights.map((weight, index) => {
+        const share = index === weights.length - 1 ? remaining : Math.round(cents * weight / total);
+        remaining -= share;
+        return share / 100;
+    });
+};
+
+// Each person's share of a split expense in the base currency.
+// Exact amounts are in the expense's own currency, so they act as weights on the converted total.
+const getSplitShares = (expense) => {
+    const { method, shares } = expense.split;
+    const weights = shares.map(share => method === 'equal' ? 1 : share.value);
+    return allocateAmount(expense.amount, weights).map((amount, index) => ({ person: shares[index].person, amount }));
+};
+
+// Shape check for a settle-up payment read from a backup
+const isStoredSettlement = (settlement) =>
+    Boolean(settlement) &&
+    typeof settlement.id === 'string' && settlement.id !== '' &&
+    typeof settlement.from === 'string' && settlement.from !== '' &&
+    typeof settlement.to === 'string' && settlement.to !== '' &&
+    settlement.from !== settlement.to &&
+    Number.isFinite(settlement.amount) && settlement.amount > 0 &&
+    typeof settlement.date === 'string' && settlement.date !== '';
+
+// Debts between each pair of people, netted so that only one direction remains per pair
+const computePairwiseDebts = (expenses, settlements) => {
+    const owed = new Map();
+    const addDebt = (from, to, amount) => {
+        if (from === to) return;
+        const [first, second] = [from, to].sort();
+        const key = `${first}\u0000${second}`;
+        const cents = Math.round(amount * 100) * (from === first ? 1 : -1);
+        owed.set(key, (owed.get(key) || 0) + cents);
+    };
+
+    expenses.forEach(expense => {
+        if (!expense.split || isIncome(expense)) return;
+        getSplitShares(expense).forEach(({ person, amount }) => addDebt(person, expense.split.paidBy, amount));
+    });
+    settlements.forEach(({ from, to, amount }) => addDebt(to, from, amount));
+
+    return [...owed.entries()]
+        .filter(([, cents]) => cents !== 0)
+        .map(([key, cents]) => {
+            const [first, second] = key.split('\u0000');
+            return cents > 0
+                ? { from: first, to: second, amount: cents / 100 }
+                : { from: second, to: first, amount: -cents / 100 };
+        })
+        .sort((a, b) => b.amount - a.amount);
+};
+
+// Net balance per person; positive means they are owed money overall
+const computeBalances = (debts) => debts.reduce((balances, { from, to, amount }) => {
+    balances[from] = Math.round(((balances[from] || 0) - amount) * 100) / 100;
+    balances[to] = Math.round(((balances[to] || 0) + amount) * 100) / 100;
+    return balances;
+}, {});
+
+// Fewest payments that clear every balance: the largest debtor repeatedly pays the largest creditor
+const simplifyDebts = (balances) => {
+    const toCents = (entries) => entries.map(([person, balance]) => ({ person, cents: Math.round(Math.abs(balance) * 100) }));
+    const creditors = toCents(Object.entries(balances).filter(([, balance]) => balance > 0));
+    const debtors = toCents(Object.entries(balances).filter(([, balance]) => balance < 0));
+    const payments = [];
+
+    while (creditors.length > 0 && debtors.length > 0) {
+        creditors.sort((a, b) => b.cents - a.cents);
+        debtors.sort((a, b) => b.cents - a.cents);
+        const creditor = creditors[0];
+        const debtor = debtors[0];
+        const cents = Math.min(creditor.cents, debtor.cents);
+        payments.push({ from: debtor.person, to: creditor.person, amount: cents / 100 });
+        creditor.cents -= cents;
+        debtor.cents -= cents;
+        if (creditor.cents === 0) creditors.shift();
+        if (debtor.cents === 0) debtors.shift();
+    }
+    return payments;
+};
+
+// Storage keys for deleted transactions (legacy, now in IndexedDB) and how long they are kept
+const TRASH_STORAGE_KEY = 'trash_pkr';
+const TRASH_RETENTION_STORAGE_KEY = 'trash_retention_pkr';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention periods for the trash; 0 keeps deleted items until they are purged by hand
+const TRASH_RETENTION_OPTIONS = [
+    { days: 7, name: '7 days' },
+    { days: 30, name: '30 days' },
+    { days: 90, name: '90 days' },
+    { days: 0, name: 'Forever' }
+];
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Trash retention period (in days) from a stored value
+const loadTrashRetentionFromStorage = (stored = readPreference(TRASH_RETENTION_STORAGE_KEY)) =>
+    stored === undefined || Number.isNaN(Number(stored)) ? DEFAULT_TRASH_RETENTION_DAYS : Number(stored);
+
+// Stamp transactions with their deletion time so they can sit in the trash
+const moveToTrash = (transactions, deletedAt = Date.now()) =>
+    transactions.map(transaction => ({ ...transaction, deletedAt }));
+
+// Take a transaction back out of the trash
+const restoreFromTrash = ({ deletedAt, ...transaction }) => transaction;
+
+// Drop trashed items older than the retention period
+const purgeExpiredTrash = (trash, retentionDays, now = Date.now()) =>
+    retentionDays > 0
+        ? trash.filter(item => now - item.deletedAt < retentionDays * DAY_MS)
+        : trash;
+
+// Add whole months to a YYYY-MM-DD date, clamping to the end of shorter months
+const addMonthsToDate = (dateString, months) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().split('T')[0];
+};
+
+// Add days to a YYYY-MM-DD date
+const addDaysToDate = (dateString, days) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+// Date of the nth occurrence (0-based) of a recurring rule
+const getOccurrenceDate = (rule, index) => {
+    switch (rule.frequency) {
+        case 'daily':
+            return addDaysToDate(rule.startDate, index);
+        case 'weekly':
+            return addDaysToDate(rule.startDate, index * 7);
+        case 'yearly':
+            return addMonthsToDate(rule.startDate, index * 12);
+        case 'monthly':
+        default:
+            return addMonthsToDate(rule.startDate, index);
+    }
+};
+
+// Date of the next occurrence still to be generated, or null when the rule has ended
+const getNextOccurrenceDate = (rule) => {
+    if (rule.endCount && rule.occurrenceCount >= rule.endCount) return null;
+    const next = getOccurrenceDate(rule, rule.occurrenceCount);
+    if (rule.endDate && next > rule.endDate) return null;
+    return next;
+};
+
+// Create expenses for every occurrence that fell due up to `today`.
+// Occurrences already present (same recurringId and date) are never duplicated.
+const materializeRecurringExpenses = (rules, expenses, today) => {
+    const existing = new Set(
+        expenses.filter(e => e.recurringId).map(e => `${e.recurringId}:${e.date}`)
+    );
+    const generated = [];
+
+    const updatedRules = rules.map(rule => {
+        if (rule.paused) return rule;
+
+        let occurrenceCount = rule.occurrenceCount;
+        let nextDate = getNextOccurrenceDate(rule);
+
+        while (nextDate && nextDate <= today) {
+            const key = `${rule.id}:${nextDate}`;
+            if (!existing.has(key)) {
+                existing.add(key);
+                generated.push({
+                    id: crypto.randomUUID(),
+                    schemaVersion: RECORD_SCHEMA_VERSION,
+                    ...rule.template,
+                    date: nextDate,
+                    recurringId: rule.id,
+                    createdAt: Date.now()
+                });
+            }
+            occurrenceCount++;
+            nextDate = getNextOccurrenceDate({ ...rule, occurrenceCount });
+        }
+
+        return occurrenceCount === rule.occurrenceCount ? rule : { ...rule, occurrenceCount };
+    });
+
+    return { rules: updatedRules, generated };
+};
+
+// Skip occurrences that fell due while a rule was paused
+const skipMissedOccurrences = (rule, today) => {
+    let occurrenceCount = rule.occurrenceCount;
+    let nextDate = getNextOccurrenceDate(rule);
+    while (nextDate && nextDate <= today) {
+        occurrenceCount++;
+        nextDate = getNextOccurrenceDate({ ...rule, occurrenceCount });
+    }
+    return { ...rule, occurrenceCount };
+};
+
+const DATE_RANGE_PRESETS = [
+    { id: 'all', name: 'All Time' },
+    { id: 'this-week', name: 'This Week' },
+    { id: 'this-month', name: 'This Month' },
+    { id: 'last-month', name: 'Last Month' },
+    { id: 'this-quarter', name: 'This Quarter' },
+    { id: 'year-to-date', name: 'Year to Date' },
+    { id: 'custom', name: 'Custom Range' }
+];
+
+const DEFAULT_DATE_RANGE = { preset: 'all', from: '', to: '' };
+
+// Resolve a date range selection to inclusive YYYY-MM-DD bounds (null means open-ended)
+const getDateRangeBounds = ({ preset, from, to }, today = getTodayString()) => {
+    const [year, month] = today.split('-').map(Number);
+    const monthStart = `${today.slice(0, 7)}-01`;
+
+    switch (preset) {
+        case 'this-week': {
+            // Weeks start on Monday
+            const dayOfWeek = new Date(`${today}T00:00:00Z`).getUTCDay();
+            return { from: addDaysToDate(today, -((dayOfWeek + 6) % 7)), to: today };
+        }
+        case 'this-month':
+            return { from: monthStart, to: today };
+        case 'last-month':
+            return { from: addMonthsToDate(monthStart, -1), to: addDaysToDate(monthStart, -1) };
+        case 'this-quarter': {
+            const quarterStartMonth = Math.floor((month - 1) / 3) * 3 + 1;
+            return { from: `${year}-${String(quarterStartMonth).padStart(2, '0')}-01`, to: today };
+        }
+        case 'year-to-date':
+            return { from: `${year}-01-01`, to: today };
+        case 'custom':
+            if (from && to && from > to) {
+                return { from: to, to: from };
+            }
+            return { from: from || null, to: to || null };
+        case 'all':
+        default:
+            return { from: null, to: null };
+    }
+};
+
+// Check whether a YYYY-MM-DD date lies within resolved range bounds
+const isWithinDateRange = (date, { from, to }) =>
+    (!from || date >= from) && (!to || date <= to);
+
+// Show a YYYY-MM-DD date in the local format. new Date('YYYY-MM-DD') is UTC midnight,
+// which is still the previous day west of UTC.
+const formatDateString = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-PK');
+};
+
+// Human-readable description of a date range selection
+const getDateRangeLabel = (dateRange) => {
+    const preset = DATE_RANGE_PRESETS.find(p => p.id === dateRange.preset);
+    if (dateRange.preset !== 'custom') {
+        return preset?.name || 'All Time';
+    }
+    const { from, to } = getDateRangeBounds(dateRange);
+    if (from && to) return `${formatDateString(from)} – ${formatDateString(to)}`;
+    if (from) return `Since ${formatDateString(from)}`;
+    if (to) return `Until ${formatDateString(to)}`;
+    return 'All Time';
+};
+
+// Read the Reports screen and date range from the page URL, so views can be bookmarked
+const readReportViewFromUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    const preset = params.get('range');
+    return {
+        screen: params.get('view') === SCREEN.REPORTS ? SCREEN.REPORTS : SCREEN.DASHBOARD,
+        dateRange: DATE_RANGE_PRESETS.some(p => p.id === preset)
+            ? { preset, from: params.get('from') || '', to: params.get('to') || '' }
+            : DEFAULT_DATE_RANGE
+    };
+};
+
+// Mirror the Reports date range into the page URL without adding history entries
+const writeReportViewToUrl = (screen, dateRange) => {
+    const url = new URL(window.location.href);
+    ['view', 'range', 'from', 'to'].forEach(key => url.searchParams.delete(key));
+
+    if (screen === SCREEN.REPORTS) {
+        url.searchParams.set('view', SCREEN.REPORTS);
+        if (dateRange.preset !== 'all') {
+            url.searchParams.set('range', dateRange.preset);
+        }
+        if (dateRange.preset === 'custom') {
+            if (dateRange.from) url.searchParams.set('from', dateRange.from);
+            if (dateRange.to) url.searchParams.set('to', dateRange.to);
+        }
+    }
+
+    if (url.href !== window.location.href) {
+        window.history.replaceState(null, '', url);
+    }
+};
+
+// Reports search query language, e.g. `amount>5000 category:food after:2026-01-01 -uber "dinner party"`.
+// Terms are ANDed together; OR (or |) between two terms lets either one match.
+const SEARCH_HELP = [
+    { syntax: 'dinner', description: 'Title, notes or tags contain the word' },
+    { syntax: '"dinner party"', description: 'Exact phrase' },
+    { syntax: '-uber', description: 'Exclude matches (works with any operator)' },
+    { syntax: 'uber OR careem', description: 'Either term matches' },
+    { syntax: 'title:  notes:', description: 'Search only the title or notes' },
+    { syntax: 'tag:ramadan  #ramadan', description: 'Has the tag' },
+    { syntax: 'category:food', description: 'Category or income source, by id or name' },
+    { syntax: 'type:income', description: 'expense or income' },
+    { syntax: 'account:cash', description: 'Account name, or account:none' },
+    { syntax: 'amount>5000', description: 'Compare amounts with > >= < <= =' },
+    { syntax: 'amount:100..500', description: 'Amount within a range' },
+    { syntax: 'after:2026-01-01', description: 'Dated after (before: for earlier)' },
+    { syntax: 'on:2026-03', description: 'On a day, in a month or in a year' },
+    { syntax: 'has:receipt', description: 'receipt, split, tags or notes' }
+];
+
+const SEARCH_FIELDS = ['title', 'notes', 'tag', 'category', 'type', 'account', 'amount', 'after', 'before', 'on', 'has'];
+const SEARCH_HAS_VALUES = ['receipt', 'split', 'tags', 'notes'];
+const SEARCH_TOKEN_PATTERN = /(-)?(?:([a-z]+)(:|>=|<=|>|<|=))?(?:"([^"]*)"?|(\S+))/gi;
+
+// Turn one token into a search term, or an error message when its value doesn't fit the field
+const parseSearchTerm = (negate, field, operator, value) => {
+    if (!field && value.startsWith('#') && value.length > 1) {
+        return { term: { field: 'tag', value: normalizeTag(value), negate } };
+    }
+    if (!field) {
+        return { term: { field: 'text', value: value.toLowerCase(), negate } };
+    }
+    if (field !== 'amount' && operator !== ':') {
+        return { error: `Use ${field}:value` };
+    }
+
+    switch (field) {
+        case 'amount': {
+            const range = operator === ':' && value.match(/^([\d.]*)\.\.([\d.]*)$/);
+            if (range) {
+                const min = range[1] === '' ? -Infinity : Number(range[1]);
+                const max = range[2] === '' ? Infinity : Number(range[2]);
+                if (Number.isNaN(min) || Number.isNaN(max)) {
+                    return { error: `"${value}" is not an amount range` };
+                }
+                return { term: { field, min, max, negate } };
+            }
+            const amount = Number(value);
+            if (value === '' || Number.isNaN(amount)) {
+                return { error: `"${value}" is not an amount` };
+            }
+            return { term: { field, operator: operator === ':' ? '=' : operator, value: amount, negate } };
+        }
+        case 'after':
+        case 'before':
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return { error: `${field}: needs a date like 2026-01-31` };
+            }
+            return { term: { field, value, negate } };
+        case 'on':
+            if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) {
+                return { error: 'on: needs a year, month or date like 2026-03' };
+            }
+            return { term: { field, value, negate } };
+        case 'has':
+            if (!SEARCH_HAS_VALUES.includes(value.toLowerCase())) {
+                return { error: `has: accepts ${SEARCH_HAS_VALUES.join(', ')}` };
+            }
+            return { term: { field, value: value.toLowerCase(), negate } };
+        case 'tag':
+            return { term: { field, value: normalizeTag(value), negate } };
+        default:
+            return { term: { field, value: value.toLowerCase(), negate } };
+    }
+};
+
+// Parse a search query into clauses that must all match; each clause is a list of alternative terms
+const parseSearchQuery = (query) => {
+    const clauses = [];
+    const errors = [];
+    let joinNext = false;
+
+    for (const match of String(query || '').matchAll(SEARCH_TOKEN_PATTERN)) {
+        const [raw, dash, rawField, operator, phrase, word] = match;
+        const isPhrase = phrase !== undefined;
+        if (!dash && !rawField && !isPhrase && (word === 'OR' || word === '|')) {
+            joinNext = clauses.length > 0;
+            continue;
+        }
+
+        const field = rawField && rawField.toLowerCase();
+        const known = field && SEARCH_FIELDS.includes(field);
+        const fieldValue = isPhrase ? phrase : word;
+
+        // A field with nothing after it (e.g. "title:" while it is still being typed) is skipped
+        const bareField = !rawField && !isPhrase && word.match(/^([a-z]+)(?::|>=|<=|>|<|=)$/i);
+        if ((known && !fieldValue.trim()) || (bareField && SEARCH_FIELDS.includes(bareField[1].toLowerCase()))) {
+            joinNext = false;
+            continue;
+        }
+
+        // Unknown fields (e.g. a time like 10:30) are searched for as plain text, prefix included
+        const value = known || !rawField ? fieldValue : `${rawField}${operator}${fieldValue}`;
+        if (!value) continue;
+
+        const { term, error } = parseSearchTerm(Boolean(dash), known ? field : null, operator, value.trim());
+        if (error) {
+            errors.push(error);
+            joinNext = false;
+            continue;
+        }
+
+        if (joinNext) {
+            clauses[clauses.length - 1].push(term);
+        } else {
+            clauses.push([term]);
+        }
+        joinNext = false;
+    }
+
+    return { clauses, errors };
+};
+
+const compareAmount = (amount, operator, value) => {
+    switch (operator) {
+        case '>': return amount > value;
+        case '>=': return amount >= value;
+        case '<': return amount < value;
+        case '<=': return amount <= value;
+        default: return Math.abs(amount - value) < 0.005;
+    }
+};
+
+// Check one term against a transaction. Lookups resolve category and account names and convert
+// amounts to the display currency, so amount: compares against what the table shows.
+const matchesSearchTerm = (transaction, term, { getCategory, accounts, toDisplayAmount }) => {
+    const { field, value } = term;
+    switch (field) {
+        case 'text':
+            return transaction.title.toLowerCase().includes(value) ||
+                Boolean(transaction.notes?.toLowerCase().includes(value)) ||
+                Boolean(transaction.tags?.some(tag => tag.includes(normalizeTag(value))));
+        case 'title':
+            return transaction.title.toLowerCase().includes(value);
+        case 'notes':
+            return Boolean(transaction.notes?.toLowerCase().includes(value));
+        case 'tag':
+            return Boolean(transaction.tags?.includes(value));
+        case 'category': {
+            const category = getCategory(transaction);
+            return category.id.toLowerCase() === value || category.name.toLowerCase().includes(value);
+        }
+        case 'type':
+            return (transaction.type || 'expense') === value;
+        case 'account': {
+            if (value === 'none') return !transaction.account;
+            const account = accounts.find(a => a.id === transaction.account);
+            return Boolean(account) && (account.id.toLowerCase() === value || account.name.toLowerCase().includes(value));
+        }
+        case 'amount': {
+            const amount = toDisplayAmount(transaction.amount);
+            return term.operator
+                ? compareAmount(amount, term.operator, value)
+                : amount >= term.min && amount <= term.max;
+        }
+        case 'after':
+            return transaction.date > value;
+        case 'before':
+            return transaction.date < value;
+        case 'on':
+            return transaction.date.startsWith(value);
+        case 'has':
+            if (value === 'receipt') return transaction.attachments?.length > 0;
+            if (value === 'split') return Boolean(transaction.split);
+            if (value === 'tags') return transaction.tags?.length > 0;
+            return Boolean(transaction.notes?.trim());
+        default:
+            return true;
+    }
+};
+
+const matchesSearchQuery = (transaction, { clauses }, lookups) =>
+    clauses.every(terms => terms.some(term => matchesSearchTerm(transaction, term, lookups) !== term.negate));
+
+// Saved Reports searches, recalled from a dropdown next to the search box
+const SAVED_SEARCHES_STORAGE_KEY = 'saved_searches_pkr';
+
+// Saved searches from a stored value
+const loadSavedSearchesFromStorage = (stored = readPreference(SAVED_SEARCHES_STORAGE_KEY)) =>
+    Array.isArray(stored) ? stored : [];
+
+// Columns of the Reports transaction table that can be hidden; the title always shows
+const REPORT_COLUMNS = [
+    { id: 'date', name: 'Date' },
+    { id: 'title', name: 'Title', required: true },
+    { id: 'category', name: 'Category' },
+    { id: 'account', name: 'Account' },
+    { id: 'amount', name: 'Amount' }
+];
+
+const DEFAULT_VISIBLE_COLUMNS = ['date', 'title', 'category', 'amount'];
+
+// Named Reports setups (search, filters, sort, date range and columns) restored in one click.
+// Pinned views are also listed in the navbar Expenses dropdown.
+const REPORT_VIEWS_STORAGE_KEY = 'report_views_pkr';
+
+const DEFAULT_REPORT_VIEW_SETTINGS = {
+    searchTerm: '',
+    filterType: 'all',
+    filterCategory: 'all',
+    filterAccount: 'all',
+    filterTags: [],
+    sortBy: 'date-desc',
+    dateRange: DEFAULT_DATE_RANGE,
+    visibleColumns: DEFAULT_VISIBLE_COLUMNS
+};
+
+// Settings of a saved view, with defaults for anything a view saved by an older version lacks
+const getReportViewSettings = (view) =>
+    Object.fromEntries(Object.entries(DEFAULT_REPORT_VIEW_SETTINGS).map(([key, fallback]) => [key, view[key] ?? fallback]));
+
+const isSameReportView = (view, settings) =>
+    JSON.stringify(getReportViewSettings(view)) === JSON.stringify(getReportViewSettings(settings));
+
+// Report views from a stored value
+const loadReportViewsFromStorage = (stored = readPreference(REPORT_VIEWS_STORAGE_KEY)) =>
+    Array.isArray(stored) ? stored : [];
+
+// Storage key for monthly budgets
+const BUDGETS_STORAGE_KEY = 'budgets_pkr';
+
+// Fractions of a budget at which alerts are raised
+const BUDGET_WARNING_RATIO = 0.8;
+const BUDGET_EXCEEDED_RATIO = 1;
+
+const DEFAULT_BUDGETS = { overall: 0, categories: {} };
+
+// Budgets from a stored value, or the defaults
+const loadBudgetsFromStorage = (stored = readPreference(BUDGETS_STORAGE_KEY)) => {
+    if (!stored || typeof stored !== 'object') {
+        return DEFAULT_BUDGETS;
+    }
+    return {
+        overall: Number(stored.overall) || 0,
+        categories: stored.categories || {}
+    };
+};
+
+// Savings as a percentage of income, or null when there was no income
+const getSavingsRate = (income, spent) => income > 0 ? ((income - spent) / income) * 100 : null;
+
+// Check whether a date string (YYYY-MM-DD) falls in the current month
+const isCurrentMonth = (dateString) => {
+    const date = new Date(dateString);
+    const now = new Date();
+    return date.getMonth() === now.getMonth() && date.getFullYear() === now.getFullYear();
+};
+
+// Returns 'exceeded' or 'warning' when spending moves across a budget threshold
+const getCrossedBudgetThreshold = (spentBefore, spentAfter, limit) => {
+    if (!limit) return null;
+    if (spentBefore <= limit * BUDGET_EXCEEDED_RATIO && spentAfter > limit * BUDGET_EXCEEDED_RATIO) {
+        return 'exceeded';
+    }
+    if (spentBefore < limit * BUDGET_WARNING_RATIO && spentAfter >= limit * BUDGET_WARNING_RATIO) {
+        return 'warning';
+    }
+    return null;
+};
+
+// Status used to color a budget progress bar
+const getBudgetStatus = (spent, limit) => {
+    if (spent > limit * BUDGET_EXCEEDED_RATIO) return 'over';
+    if (spent >= limit * BUDGET_WARNING_RATIO) return 'warning';
+    return 'ok';
+};
+
+// Stored amounts are always kept in the base currency
+const BASE_CURRENCY = 'PKR';
+
+// Storage key for display currency and exchange rates
+const CURRENCY_STORAGE_KEY = 'currency_pkr';
+
+const CURRENCY_NAMES = {
+    PKR: 'Pakistani Rupee',
+    USD: 'US Dollar',
+    AED: 'UAE Dirham',
+    SAR: 'Saudi Riyal',
+    EUR: 'Euro',
+    GBP: 'British Pound'
+};
+
+// Exchange rates are expressed as base-currency units per one unit of each currency
+const DEFAULT_CURRENCY_SETTINGS = {
+    displayCurrency: BASE_CURRENCY,
+    rates: { PKR: 1, USD: 280, AED: 76, SAR: 75 }
+};
+
+// Currency settings from a stored value, or the defaults
+const loadCurrencySettingsFromStorage = (stored = readPreference(CURRENCY_STORAGE_KEY)) => {
+    if (!stored || typeof stored !== 'object') {
+        return DEFAULT_CURRENCY_SETTINGS;
+    }
+    const rates = { ...stored.rates, [BASE_CURRENCY]: 1 };
+    return {
+        displayCurrency: rates[stored.displayCurrency] ? stored.displayCurrency : BASE_CURRENCY,
+        rates
+    };
+};
+
+// Convert an amount in `currency` to the base currency
+const convertToBase = (amount, currency, rates) =>
+    Math.round(amount * (rates[currency] || 1) * 100) / 100;
+
+// Convert a base-currency amount to `currency`
+const convertFromBase = (amount, currency, rates) => amount / (rates[currency] || 1);
+
+// Check that a code is a currency Intl can format
+const isValidCurrencyCode = (code) => {
+    if (!/^[A-Z]{3}$/.test(code)) return false;
+    try {
+        new Intl.NumberFormat('en-PK', { style: 'currency', currency: code });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Format an amount in the given currency (whole rupees for PKR)
+const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+    const fractionDigits = currency === BASE_CURRENCY ? 0 : 2;
+    return new Intl.NumberFormat('en-PK', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(amount);
+};
+
+const CSV_DELIMITERS = [
+    { id: ',', name: 'Comma (,)' },
+    { id: ';', name: 'Semicolon (;)' },
+    { id: '\t', name: 'Tab' },
+    { id: '|', name: 'Pipe (|)' }
+];
+
+// Fields that CSV columns can be mapped onto, with header patterns used to guess the mapping
+const CSV_IMPORT_FIELDS = [
+    { id: 'title', name: 'Title', required: true, pattern: /title|description|narration|details|payee|merchant|particulars/i },
+    { id: 'amount', name: 'Amount', required: true, pattern: /amount|debit|withdrawal|value|pkr/i },
+    { id: 'date', name: 'Date', required: true, pattern: /date/i },
+    { id: 'category', name: 'Category', required: false, pattern: /category/i },
+    { id: 'notes', name: 'Notes', required: false, pattern: /notes?|memo|remarks|reference/i },
+    { id: 'type', name: 'Type', required: false, pattern: /^type$/i }
+];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date formats recognised on import; ambiguous day/month values prefer DD/MM as used in Pakistan
+const IMPORT_DATE_FORMATS = [
+    { id: 'YYYY-MM-DD', pattern: /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T].*)?$/, order: ['year', 'month', 'day'] },
+    { id: 'DD/MM/YYYY', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[ T].*)?$/, order: ['day', 'month', 'year'] },
+    { id: 'MM/DD/YYYY', pattern: /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?:[ T].*)?$/, order: ['month', 'day', 'year'] },
+    { id: 'DD MMM YYYY', pattern: /^(\d{1,2})[ -]([a-z]{3})[a-z]*,?[ -](\d{4})(?: .*)?$/i, order: ['day', 'month', 'year'] }
+];
+
+// Split CSV text into rows of fields, honouring quoted fields with embedded delimiters, quotes and newlines
+const parseCSV = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Pick the delimiter that splits the first line into the most columns
+const detectCSVDelimiter = (text) => {
+    const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+    const unquoted = firstLine.replace(/"[^"]*"/g, '');
+    return CSV_DELIMITERS
+        .map(({ id }) => ({ id, count: unquoted.split(id).length - 1 }))
+        .sort((a, b) => b.count - a.count)[0].id;
+};
+
+// Parse a date string in the given import format to YYYY-MM-DD, or null if it is not a real date
+const parseImportDate = (value, formatId) => {
+    const format = IMPORT_DATE_FORMATS.find(f => f.id === formatId);
+    const match = format && String(value).trim().match(format.pattern);
+    if (!match) return null;
+
+    const parts = {};
+    format.order.forEach((part, index) => {
+        parts[part] = match[index + 1];
+    });
+    const year = Number(parts.year);
+    const month = /^\d+$/.test(parts.month)
+        ? Number(parts.month)
+        : MONTH_ABBREVIATIONS.indexOf(parts.month.slice(0, 3).toLowerCase()) + 1;
+    const day = Number(parts.day);
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+};
+
+// Choose the first date format that parses every non-empty value
+const detectImportDateFormat = (values) => {
+    const samples = values.filter(value => String(value).trim() !== '');
+    const format = IMPORT_DATE_FORMATS.find(f => samples.every(value => parseImportDate(value, f.id)));
+    return format ? format.id : IMPORT_DATE_FORMATS[0].id;
+};
+
+// Guess whether amounts use '.' or ',' as the decimal separator
+const detectDecimalSeparator = (values) => {
+    let commaDecimals = 0;
+    let dotDecimals = 0;
+    values.forEach(value => {
+        const trimmed = String(value).trim();
+        if (/,\d{1,2}\)?$/.test(trimmed)) commaDecimals++;
+        if (/\.\d{1,2}\)?$/.test(trimmed)) dotDecimals++;
+    });
+    return commaDecimals > dotDecimals ? ',' : '.';
+};
+
+// Parse an amount such as "Rs. 1,500.50", "1.500,50", "-250" or "(250)" to a signed number, or NaN
+const parseImportAmount = (value, decimalSeparator = '.') => {
+    const text = String(value).trim();
+    const digits = text.replace(/[^0-9.,]/g, '').replace(/^[.,]+|[.,]+$/g, '');
+    if (!digits) return NaN;
+    const normalized = decimalSeparator === ','
+        ? digits.replace(/\./g, '').replace(',', '.')
+        : digits.replace(/,/g, '');
+    const isNegative = text.includes('-') || /^\(.*\)$/.test(text);
+    return isNegative ? -Number(normalized) : Number(normalized);
+};
+
+// How the sign of an imported amount decides its type when no Type column is mapped
+const IMPORT_AMOUNT_SIGNS = [
+    { id: 'negative-expense', name: 'Negative = expense, positive = income' },
+    { id: 'positive-expense', name: 'Positive = expense, negative = income' },
+    { id: 'ignore', name: 'Ignore signs (all expenses)' }
+];
+
+const getSignedAmountType = (amount, amountSign) => {
+    if (amountSign === 'ignore' || Number.isNaN(amount)) return 'expense';
+    return (amount < 0) === (amountSign === 'negative-expense') ? 'expense' : 'income';
+};
+
+// Guess which column feeds each import field from the header row
+const guessCSVColumnMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+    CSV_IMPORT_FIELDS.forEach(field => {
+        const index = headers.findIndex((header, i) => !used.has(i) && field.pattern.test(header.trim()));
+        mapping[field.id] = index >= 0 ? String(index) : '';
+        if (index >= 0) used.add(index);
+    });
+    return mapping;
+};
+
+// Columns available for CSV export, in their default order
+const CSV_EXPORT_COLUMNS = [
+    { id: 'type', name: 'Type', getValue: (t) => t.type || 'expense' },
+    { id: 'title', name: 'Title', getValue: (t) => t.title },
+    { id: 'amount', name: `Amount (${BASE_CURRENCY})`, getValue: (t) => t.amount },
+    { id: 'currency', name: 'Currency', getValue: (t) => t.currency || BASE_CURRENCY },
+    { id: 'originalAmount', name: 'Original Amount', getValue: (t) => t.originalAmount ?? t.amount },
+    { id: 'category', name: 'Category', getValue: (t, category) => category.name },
+    { id: 'date', name: 'Date', getValue: (t) => t.date },
+    { id: 'notes', name: 'Notes', getValue: (t) => t.notes || '' },
+    { id: 'tags', name: 'Tags', getValue: (t) => (t.tags || []).join(', ') }
+];
+
+const DEFAULT_CSV_EXPORT_OPTIONS = {
+    columns: CSV_EXPORT_COLUMNS.map(column => ({ id: column.id, enabled: true })),
+    delimiter: ',',
+    includeBom: false
+};
+
+// Quote a CSV field when it contains the delimiter, quotes, line breaks or edge whitespace (RFC 4180)
+const escapeCSVField = (value, delimiter = ',') => {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text with CRLF line endings from rows of values
+const toCSV = (rows, delimiter = ',') =>
+    rows.map(row => row.map(value => escapeCSVField(value, delimiter)).join(delimiter)).join('\r\n');
+
+// Detect column mapping, date format, decimal separator and sign convention for parsed CSV rows.
+// Signs only tell expenses from income when some amounts are negative; otherwise they are all expenses.
+const detectCSVImportSettings = (rows, hasHeader) => {
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    const headers = hasHeader && rows[0] ? rows[0] : Array.from({ length: columnCount }, () => '');
+    const mapping = guessCSVColumnMapping(headers);
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+    const columnValues = (column) => column === '' ? [] : dataRows.map(row => row[Number(column)] || '');
+
+    return {
+        mapping,
+        dateFormat: detectImportDateFormat(columnValues(mapping.date)),
+        decimalSeparator: detectDecimalSeparator(columnValues(mapping.amount)),
+        amountSign: columnValues(mapping.amount).some(value => parseImportAmount(value) < 0) ? 'negative-expense' : 'ignore'
+    };
+};
+
+// Maximum number of undoable changes kept in memory
+const HISTORY_LIMIT = 50;
+
+// Duplicate detection for imports
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+
+const IMPORT_RESOLUTIONS = [
+    { id: 'skip', name: 'Skip' },
+    { id: 'overwrite', name: 'Overwrite' },
+    { id: 'keep-both', name: 'Keep both' }
+];
+
+// Letter-pair (Dice) similarity between two titles, ignoring case and punctuation
+const getTitleSimilarity = (a, b) => {
+    const normalize = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const first = normalize(a);
+    const second = normalize(b);
+    if (first === second) return 1;
+    if (first.length < 2 || second.length < 2) return 0;
+
+    const pairs = new Map();
+    for (let i = 0; i < first.length - 1; i++) {
+        const pair = first.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    let matches = 0;
+    for (let i = 0; i < second.length - 1; i++) {
+        const pair = second.slice(i, i + 2);
+        if (pairs.get(pair) > 0) {
+            pairs.set(pair, pairs.get(pair) - 1);
+            matches++;
+        }
+    }
+    return (2 * matches) / (first.length + second.length - 2);
+};
+
+// Find the existing transaction an imported one duplicates, by id or by same date, amount and similar title
+const findImportDuplicate = (record, existing) => {
+    const byId = record.id && existing.find(e => e.id === record.id);
+    if (byId) return { existing: byId, reason: 'id' };
+
+    const similar = existing.find(e =>
+        e.date === record.date &&
+        Number(e.amount) === Number(record.amount) &&
+        (e.type || 'expense') === (record.type || 'expense') &&
+        getTitleSimilarity(e.title, record.title) >= TITLE_SIMILARITY_THRESHOLD
+    );
+    return similar ? { existing: similar, reason: 'similar' } : null;
+};
+
+// Split imported records into new ones and conflicts with existing transactions
+const detectImportConflicts = (records, existing) => {
+    const fresh = [];
+    const conflicts = [];
+    records.forEach(record => {
+        const duplicate = findImportDuplicate(record, existing);
+        if (duplicate) {
+            conflicts.push({ incoming: record, ...duplicate, resolution: 'skip' });
+        } else {
+            fresh.push(record);
+        }
+    });
+    return { fresh, conflicts };
+};
+
+// Merge mode: matching ids keep whichever copy was changed last, fuzzy matches are skipped
+const getMergeResolution = (conflict) => {
+    if (conflict.reason !== 'id') return 'skip';
+    const incomingTime = getRecordTime(conflict.incoming);
+    const existingTime = getRecordTime(conflict.existing);
+    return incomingTime > existingTime ? 'overwrite' : 'skip';
+};
+
+// Apply resolved conflicts and new records to the current transactions
+const applyImport = (expenses, fresh, conflicts) => {
+    const overwrites = new Map();
+    const added = [...fresh];
+
+    conflicts.forEach(({ incoming, existing, resolution }) => {
+        if (resolution === 'overwrite') {
+            overwrites.set(existing.id, { ...incoming, id: existing.id });
+        } else if (resolution === 'keep-both') {
+            added.push(incoming.id === existing.id ? { ...incoming, id: crypto.randomUUID() } : incoming);
+        }
+    });
+
+    return {
+        expenses: [...added, ...expenses.map(e => overwrites.get(e.id) || e)],
+        added: added.length,
+        overwritten: overwrites.size
+    };
+};
+
+const TREND_GRANULARITIES = [
+    { id: 'day', name: 'Daily' },
+    { id: 'week', name: 'Weekly' },
+    { id: 'month', name: 'Monthly' },
+    { id: 'year', name: 'Yearly' }
+];
+
+// Number of buckets plotted when no start date is given
+const DEFAULT_TREND_WINDOW = { day: 7, week: 12, month: 12, year: 5 };
+
+const TREND_WINDOW_UNITS = { day: 'Days', week: 'Weeks', month: 'Months', year: 'Years' };
+
+const DEFAULT_TREND_OPTIONS = { granularity: 'day', stacked: false, compare: false };
+
+// First day of the day/week/month/year bucket containing a YYYY-MM-DD date
+const getBucketStart = (date, granularity) => {
+    switch (granularity) {
+        case 'week': {
+            const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+            return addDaysToDate(date, -((dayOfWeek + 6) % 7));
+        }
+        case 'month':
+            return `${date.slice(0, 7)}-01`;
+        case 'year':
+            return `${date.slice(0, 4)}-01-01`;
+        case 'day':
+        default:
+            return date;
+    }
+};
+
+// Move a date by a number of buckets of the given granularity
+const addBuckets = (date, granularity, count) => {
+    switch (granularity) {
+        case 'week':
+            return addDaysToDate(date, count * 7);
+        case 'month':
+            return addMonthsToDate(date, count);
+        case 'year':
+            return addMonthsToDate(date, count * 12);
+        case 'day':
+        default:
+            return addDaysToDate(date, count);
+    }
+};
+
+// Consecutive buckets covering from..to, each clipped to the range
+const getTrendBuckets = (from, to, granularity) => {
+    const buckets = [];
+    for (let start = getBucketStart(from, granularity); start <= to; start = addBuckets(start, granularity, 1)) {
+        const end = addDaysToDate(addBuckets(start, granularity, 1), -1);
+        buckets.push({
+            start,
+            from: start < from ? from : start,
+            to: end > to ? to : end
+        });
+    }
+    return buckets;
+};
+
+// Whole calendar months from the month of `from` to the month of `to`, inclusive
+const countMonthsInRange = (from, to) => {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth) + 1;
+};
+
+// Map a date in the range from..to onto the period immediately before it.
+// Ranges starting on the 1st shift by whole months, so "this month" compares with last month.
+// Year-to-date ranges shift by a year, comparing with the same stretch of last year.
+const getPreviousPeriodShifter = (from, to, yearOverYear = false) => {
+    if (yearOverYear) {
+        return (date) => addMonthsToDate(date, -12);
+    }
+    if (from.endsWith('-01')) {
+        const months = countMonthsInRange(from, to);
+        return (date) => addMonthsToDate(date, -months);
+    }
+    const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+    return (date) => addDaysToDate(date, -days);
+};
+
+// Label for a trend bucket on the chart's x axis
+const formatBucketLabel = (start, granularity) => {
+    const date = new Date(`${start}T00:00:00Z`);
+    switch (granularity) {
+        case 'week':
+            return `Week of ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+        case 'month':
+            return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+        case 'year':
+            return start.slice(0, 4);
+        case 'day':
+        default:
+            return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+};
+
+// Chart Components
+
+// Chart.js config for the spending-by-category doughnut
+const getCategoryChartConfig = ({ expenses, categories, displayCurrency, exchangeRates, dark = document.body.classList.contains('dark') }) => {
+    const categoryTotals = expenses.reduce((acc, expense) => {
+        acc[expense.category] = (acc[expense.category] || 0) + expense.amount;
+        return acc;
+    }, {});
+
+    const data = {
+        labels: Object.keys(categoryTotals).map(cat => 
+            findCategory(categories, cat).name
+        ),
+        datasets: [{
+            data: Object.values(categoryTotals).map(total => convertFromBase(total, displayCurrency, exchangeRates)),
+            backgroundColor: Object.keys(categoryTotals).map(cat =>
+                findCategory(categories, cat).color
+            ),
+            borderWidth: 0
+        }]
+    };
+
+    return {
+        type: 'doughnut',
+        data: data,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        color: dark ? '#f8fafc' : '#111827',
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const label = context.label || '';
+                            const value = context.raw || 0;
+                            return `${label}: ${formatCurrency(value, displayCurrency)}`;
+                        }
+                    }
+                }
+            },
+            cutout: '70%'
+        }
+    };
+};
+
+// Chart.js config for the spending trend over time
+const getTrendChartConfig = ({
+    expenses,
+    categories,
+    displayCurrency,
+    exchangeRates,
+    startDate,
+    endDate,
+    granularity = 'day',
+    stacked = false,
+    compare = false,
+    yearOverYear = false,
+    dark = document.body.classList.contains('dark')
+}) => {
+    // Bucket the requested range, or a default window ending today
+    const lastDay = endDate || getTodayString();
+    const firstDay = startDate
+        || addBuckets(getBucketStart(lastDay, granularity), granularity, -(DEFAULT_TREND_WINDOW[granularity] - 1));
+    const buckets = getTrendBuckets(firstDay, lastDay, granularity);
+    const granularityName = TREND_GRANULARITIES.find(g => g.id === granularity)?.name || 'Daily';
+
+    const sumBetween = (from, to, filter = () => true) => expenses
+        .filter(e => e.date >= from && e.date <= to && filter(e))
+        .reduce((sum, e) => sum + convertFromBase(e.amount, displayCurrency, exchangeRates), 0);
+
+    const totals = buckets.map(bucket => sumBetween(bucket.from, bucket.to));
+    const datasets = [];
+
+    if (stacked) {
+        const categoryIds = [...new Set(
+            expenses.filter(e => e.date >= firstDay && e.date <= lastDay).map(e => e.category)
+        )];
+        categoryIds.forEach(categoryId => {
+            const category = findCategory(categories, categoryId);
+            datasets.push({
+                type: 'bar',
+                label: category.name,
+                data: buckets.map(bucket => sumBetween(bucket.from, bucket.to, e => e.category === categoryId)),
+                backgroundColor: category.color,
+                stack: 'current'
+            });
+        });
+    } else {
+        datasets.push({
+            type: 'line',
+            label: `${granularityName} Expenses`,
+            data: totals,
+            borderColor: '#6366f1',
+            backgroundColor: 'rgba(99, 102, 241, 0.1)',
+            tension: 0.4,
+            fill: true,
+            pointBackgroundColor: '#6366f1',
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            pointRadius: 4,
+            pointHoverRadius: 6
+        });
+    }
+
+    if (compare) {
+        const toPreviousPeriod = getPreviousPeriodShifter(firstDay, lastDay, yearOverYear);
+        datasets.push({
+            type: 'line',
+            label: 'Previous Period',
+            data: buckets.map(bucket => sumBetween(toPreviousPeriod(bucket.from), toPreviousPeriod(bucket.to))),
+            borderColor: '#94a3b8',
+            borderDash: [6, 4],
+            backgroundColor: 'transparent',
+            tension: 0.4,
+            fill: false,
+            pointRadius: 3,
+            pointBackgroundColor: '#94a3b8'
+        });
+    }
+
+    return {
+        type: stacked ? 'bar' : 'line',
+        data: {
+            labels: buckets.map(bucket => formatBucketLabel(bucket.start, granularity)),
+            datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: stacked || compare,
+                    position: 'bottom',
+                    labels: {
+                        color: dark ? '#f8fafc' : '#111827',
+                        font: {
+                            size: 12
+                        }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            return `${context.dataset.label}: ${formatCurrency(context.raw, displayCurrency)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    stacked,
+                    grid: {
+                        color: dark ? '#334155' : '#e2e8f0'
+                    },
+                    ticks: {
+                        color: dark ? '#f8fafc' : '#111827',
+                        callback: (value) => formatCurrency(value, displayCurrency)
+                    }
+                },
+                x: {
+                    stacked,
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        color: dark ? '#f8fafc' : '#111827',
+                        maxRotation: 45,
+                        minRotation: 45
+                    }
+                }
+            }
+        }
+    };
+};
+
+// Render a chart off-screen and return it as a PNG data URL for exports
+const renderChartSnapshot = (config, width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const chart = new Chart(canvas, {
+        ...config,
+        options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 }
+    });
+    const image = chart.toBase64Image('image/png', 1);
+    chart.destroy();
+    return image;
+};
+
+const CategoryChart = ({ expenses, categories, displayCurrency, exchangeRates }) => {
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+
+    useEffect(() => {
+        if (!chartRef.current || !expenses.length) return;
+
+        if (chartInstance.current) {
+            chartInstance.current.destroy();
+        }
+
+        chartInstance.current = new Chart(
+            chartRef.current,
+            getCategoryChartConfig({ expenses, categories, displayCurrency, exchangeRates })
+        );
+
+        return () => {
+            if (chartInstance.current) {
+                chartInstance.current.destroy();
+            }
+        };
+    }, [expenses, categories, displayCurrency, exchangeRates]);
+
+    return <canvas ref={chartRef}></canvas>;
+};
+
+const TrendChart = ({
+    expenses,
+    categories,
+    displayCurrency,
+    exchangeRates,
+    startDate,
+    endDate,
+    granularity = 'day',
+    stacked = false,
+    compare = false,
+    yearOverYear = false
+}) => {
+    const chartRef = useRef(null);
+    const chartInstance = useRef(null);
+
+    useEffect(() => {
+        if (!chartRef.current || !expenses.length) return;
+
+        if (chartInstance.current) {
+            chartInstance.current.destroy();
+        }
+
+        chartInstance.current = new Chart(chartRef.current, getTrendChartConfig({
+            expenses,
+            categories,
+            displayCurrency,
+            exchangeRates,
+            startDate,
+            endDate,
+            granularity,
+            stacked,
+            compare,
+            yearOverYear
+        }));
+
+        return () => {
+            if (chartInstance.current) {
+                chartInstance.current.destroy();
+            }
+        };
+    }, [expenses, categories, displayCurrency, exchangeRates, startDate, endDate, granularity, stacked, compare, yearOverYear]);
+
+    return <canvas ref={chartRef}></canvas>;
+};
+
+// Statement Export
+
+// Escape text for inclusion in generated HTML
+const escapeHTML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Gather totals, category breakdown and itemized transactions for one month ('YYYY-MM')
+const buildStatement = ({ transactions, categories, month, displayCurrency, exchangeRates }) => {
+    const from = `${month}-01`;
+    const to = addDaysToDate(addMonthsToDate(from, 1), -1);
+    const inPeriod = transactions
+        .filter(t => t.date >= from && t.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt);
+    const expenses = inPeriod.filter(t => !isIncome(t));
+    const toDisplay = (amount) => convertFromBase(amount, displayCurrency, exchangeRates);
+    const sum = (list) => list.reduce((total, t) => total + t.amount, 0);
+
+    const income = sum(inPeriod.filter(isIncome));
+    const spent = sum(expenses);
+    const categoryTotals = expenses.reduce((acc, expense) => {
+        acc[expense.category] = acc[expense.category] || { count: 0, total: 0 };
+        acc[expense.category].count += 1;
+        acc[expense.category].total += expense.amount;
+        return acc;
+    }, {});
+
+    return {
+        month,
+        from,
+        to,
+        label: new Date(`${from}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+        displayCurrency,
+        income: toDisplay(income),
+        spent: toDisplay(spent),
+        net: toDisplay(income - spent),
+        expenses,
+        breakdown: Object.entries(categoryTotals)
+            .map(([categoryId, { count, total }]) => ({
+                name: findCategory(categories, categoryId).name,
+                count,
+                total: toDisplay(total),
+                share: spent > 0 ? (total / spent) * 100 : 0
+            }))
+            .sort((a, b) => b.total - a.total),
+        items: inPeriod.map(t => ({
+            date: t.date,
+            title: t.title,
+            type: isIncome(t) ? 'Income' : 'Expense',
+            category: findCategory(isIncome(t) ? INCOME_SOURCES : categories, t.category).name,
+            amount: toDisplay(t.amount),
+            notes: t.notes || ''
+        }))
+    };
+};
+
+// Self-contained printable HTML document for a statement
+const buildStatementHTML = (statement, charts) => {
+    const money = (amount) => escapeHTML(formatCurrency(amount, statement.displayCurrency));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Statement - ${escapeHTML(statement.label)}</title>
+<style>
+    body { font-family: Inter, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem auto; max-width: 900px; padding: 0 1rem; }
+    h1 { margin: 0; font-size: 1.75rem; }
+    h2 { font-size: 1.125rem; margin: 2rem 0 0.75rem; border-bottom: 2px solid #6366f1; padding-bottom: 0.25rem; }
+    .period { color: #64748b; margin: 0.25rem 0 1.5rem; }
+    .totals { display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.75rem; }
+    .total { border: 1px solid #e2e8f0; border-radius: 8px; padding: 0.75rem; }
+    .total span { display: block; font-size: 0.75rem; color: #64748b; text-transform: uppercase; }
+    .total strong { font-size: 1.125rem; }
+    .charts { display: grid; grid-template-columns: 2fr 3fr; gap: 1rem; }
+    .charts img { width: 100%; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    th { background: #f1f5f9; }
+    .amount { text-align: right; white-space: nowrap; }
+    .income { color: #059669; }
+    .notes { color: #64748b; font-size: 0.75rem; }
+    footer { margin-top: 2rem; color: #94a3b8; font-size: 0.75rem; }
+    @media print {
+        body { margin: 0; max-width: none; }
+        h2 { break-after: avoid; }
+        tr, .charts { break-inside: avoid; }
+        thead { display: table-header-group; }
+        @page { size: A4; margin: 15mm; }
+    }
+</style>
+</head>
+<body>
+<h1>Monthly Statement</h1>
+<p class="period">${escapeHTML(statement.label)} (${statement.from} to ${statement.to})</p>
+
+<div class="totals">
+    <div class="total"><span>Income</span><strong>${money(statement.income)}</strong></div>
+    <div class="total"><span>Expenses</span><strong>${money(statement.spent)}</strong></div>
+    <div class="total"><span>Net Savings</span><strong>${money(statement.net)}</strong></div>
+    <div class="total"><span>Transactions</span><strong>${statement.items.length}</strong></div>
+</div>
+
+${charts ? `<h2>Charts</h2>
+<div class="charts">
+    <img src="${charts.category}" alt="Spending by category">
+    <img src="${charts.trend}" alt="Daily spending">
+</div>` : ''}
+
+<h2>Category Breakdown</h2>
+<table>
+    <thead><tr><th>Category</th><th>Transactions</th><th class="amount">Total</th><th class="amount">Share</th></tr></thead>
+    <tbody>
+${statement.breakdown.map(row => `        <tr><td>${escapeHTML(row.name)}</td><td>${row.count}</td><td class="amount">${money(row.total)}</td><td class="amount">${row.share.toFixed(1)}%</td></tr>`).join('\n')}
+    </tbody>
+</table>
+
+<h2>Transactions</h2>
+<table>
+    <thead><tr><th>Date</th><th>Title</th><th>Category</th><th>Type</th><th class="amount">Amount</th></tr></thead>
+    <tbody>
+${statement.items.map(item => `        <tr><td>${item.date}</td><td>${escapeHTML(item.title)}${item.notes ? `<div class="notes">${escapeHTML(item.notes)}</div>` : ''}</td><td>${escapeHTML(item.category)}</td><td>${item.type}</td><td class="amount${item.type === 'Income' ? ' income' : ''}">${money(item.amount)}</td></tr>`).join('\n')}
+    </tbody>
+</table>
+
+<footer>Generated ${escapeHTML(new Date().toLocaleString())} by Expense Tracker</footer>
+</body>
+</html>`;
+};
+
+// A4 PDF of a statement, drawn with jsPDF
+const buildStatementPDF = (statement, charts) => {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 15;
+    // Built-in PDF fonts lack the no-break spaces Intl puts between symbol and amount
+    const money = (amount) => formatCurrency(amount, statement.displayCurrency).replace(/[\u00a0\u202f]/g, ' ');
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+
+    const drawRow = (cells, bold = false) => {
+        ensureSpace(7);
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        cells.forEach(({ text, x, width, align = 'left' }) => {
+            const value = doc.splitTextToSize(String(text), width)[0] || '';
+            doc.text(value, align === 'right' ? x + width : x, y, { align });
+        });
+        y += 6;
+    };
+
+    const drawHeading = (text) => {
+        ensureSpace(16);
+        y += 4;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(text, margin, y);
+        doc.setDrawColor(99, 102, 241);
+        doc.line(margin, y + 2, 195, y + 2);
+        doc.setFontSize(9);
+        y += 9;
+    };
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text('Monthly Statement', margin, y + 3);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(`${statement.label} (${statement.from} to ${statement.to})`, margin, y + 10);
+    y += 20;
+
+    [
+        ['Income', money(statement.income)],
+        ['Expenses', money(statement.spent)],
+        ['Net Savings', money(statement.net)],
+        ['Transactions', String(statement.items.length)]
+    ].forEach(([label, value], index) => {
+        const x = margin + index * 45;
+        doc.setDrawColor(226, 232, 240);
+        doc.roundedRect(x, y, 42, 16, 2, 2);
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.text(label.toUpperCase(), x + 3, y + 6);
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(value, x + 3, y + 12);
+    });
+    y += 22;
+    doc.setFontSize(9);
+
+    if (charts) {
+        drawHeading('Charts');
+        doc.addImage(charts.category, 'PNG', margin, y, 68, 51);
+        doc.addImage(charts.trend, 'PNG', margin + 75, y, 105, 63);
+        y += 66;
+    }
+
+    drawHeading('Category Breakdown');
+    const breakdownColumns = [
+        { x: margin, width: 80 },
+        { x: 100, width: 25 },
+        { x: 125, width: 40, align: 'right' },
+        { x: 170, width: 25, align: 'right' }
+    ];
+    const breakdownRow = (values, bold) => drawRow(values.map((text, i) => ({ text, ...breakdownColumns[i] })), bold);
+    breakdownRow(['Category', 'Transactions', 'Total', 'Share'], true);
+    statement.breakdown.forEach(row => {
+        breakdownRow([row.name, row.count, money(row.total), `${row.share.toFixed(1)}%`]);
+    });
+
+    drawHeading('Transactions');
+    const itemColumns = [
+        { x: margin, width: 22 },
+        { x: 38, width: 62 },
+        { x: 102, width: 38 },
+        { x: 142, width: 18 },
+        { x: 160, width: 35, align: 'right' }
+    ];
+    const itemRow = (values, bold) => drawRow(values.map((text, i) => ({ text, ...itemColumns[i] })), bold);
+    itemRow(['Date', 'Title', 'Category', 'Type', 'Amount'], true);
+    statement.items.forEach(item => {
+        itemRow([item.date, item.title, item.category, item.type, money(item.amount)]);
+    });
+
+    return doc;
+};
+
+// Category Badge Component
+const CategoryBadge = ({ category }) => (
+    <span className="category-badge" style={{
+        backgroundColor: category.color + '20',
+        color: category.color
+    }}>
+        <i className={`fas ${category.icon}`}></i>
+        {' '}{category.name}
+    </span>
+);
+
+// Toast Component
+const Toast = ({ message, type, action, onClose }) => {
+    useEffect(() => {
+        const timer = setTimeout(onClose, 3000);
+        return () => clearTimeout(timer);
+    }, [onClose]);
+
+    return (
+        <div className={`toast ${type}`}>
+            <i className={`fas ${type === 'success' ? 'fa-check-circle' : 
+                             type === 'error' ? 'fa-exclamation-circle' :
+                             type === 'warning' ? 'fa-exclamation-triangle' : 'fa-info-circle'}`}></i>
+            <span>{message}</span>
+            {action && (
+                <button
+                    className="toast-action"
+                    onClick={() => {
+                        action.onClick();
+                        onClose();
+                    }}
+                >
+                    {action.label}
+                </button>
+            )}
+            <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+    );
+};
+
+// Main App Component
+function App() {
+    const [initialReportView] = useState(readReportViewFromUrl);
+    const [currentScreen, setCurrentScreen] = useState(initialReportView.screen);
+    const [expenses, setExpenses] = useState([]);
+    const [selectedExpense, setSelectedExpense] = useState(null);
+    const [darkMode, setDarkMode] = useState(() => {
+        const saved = localStorage.getItem('darkMode');
+        return saved ? JSON.parse(saved) : false;
+    });
+    const [isLoading, setIsLoading] = useState(true);
+    const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+    const [activeDropdown, setActiveDropdown] = useState(null);
+    const [toasts, setToasts] = useState([]);
+    // Service worker holding a newly cached version, waiting for the user to reload
+    const [waitingWorker, setWaitingWorker] = useState(null);
+    // Newer app files were cached after this page loaded (the service worker itself is unchanged)
+    const [isUpdateCached, setIsUpdateCached] = useState(false);
+    const [validationErrors, setValidationErrors] = useState({});
+    const [searchTerm, setSearchTerm] = useState('');
+    const [savedSearches, setSavedSearches] = useState(loadSavedSearchesFromStorage);
+    const [showSearchHelp, setShowSearchHelp] = useState(false);
+    // Name being typed for the current search, or null while the save form is closed
+    const [savedSearchName, setSavedSearchName] = useState(null);
+    const [filterCategory, setFilterCategory] = useState('all');
+    const [filterAccount, setFilterAccount] = useState('all');
+    const [filterTags, setFilterTags] = useState([]);
+    const [filterType, setFilterType] = useState('all');
+    const [dateRange, setDateRange] = useState(initialReportView.dateRange);
+    const [trendOptions, setTrendOptions] = useState(DEFAULT_TREND_OPTIONS);
+    const [csvImport, setCsvImport] = useState(null);
+    const [importReview, setImportReview] = useState(null);
+    const [history, setHistory] = useState({ past: [], future: [] });
+    const [trash, setTrash] = useState([]);
+    const [recoveryRecords, setRecoveryRecords] = useState([]);
+    const [settlements, setSettlements] = useState([]);
+    const [simplifyPeopleDebts, setSimplifyPeopleDebts] = useState(true);
+    const [settleForm, setSettleForm] = useState(null);
+    const [lockSettings, setLockSettings] = useState(loadLockSettingsFromStorage);
+    const [isLocked, setIsLocked] = useState(() => loadLockSettingsFromStorage().enabled);
+    const [lockScreen, setLockScreen] = useState({ pin: '', error: '', isUnlocking: false });
+    const [pinForm, setPinForm] = useState({ pin: '', confirm: '', current: '', error: '' });
+    const [trashRetentionDays, setTrashRetentionDays] = useState(loadTrashRetentionFromStorage);
+    const [sortBy, setSortBy] = useState('date-desc');
+    const [visibleColumns, setVisibleColumns] = useState(DEFAULT_VISIBLE_COLUMNS);
+    const [showColumnMenu, setShowColumnMenu] = useState(false);
+    const [reportViews, setReportViews] = useState(loadReportViewsFromStorage);
+    // Name being typed for a new report view, or null while the save form is closed
+    const [reportViewName, setReportViewName] = useState(null);
+    const [selectedExpenses, setSelectedExpenses] = useState([]);
+    const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+    const [exportFormat, setExportFormat] = useState('json');
+    const [csvExportOptions, setCsvExportOptions] = useState(DEFAULT_CSV_EXPORT_OPTIONS);
+    const [exportPassphrase, setExportPassphrase] = useState({ passphrase: '', confirm: '' });
+    const [encryptedImport, setEncryptedImport] = useState(null);
+    const [statementOptions, setStatementOptions] = useState(() => ({
+        month: getTodayString().slice(0, 7),
+        output: 'html'
+    }));
+    const [budgets, setBudgets] = useState(loadBudgetsFromStorage);
+    const [categories, setCategories] = useState(loadCategoriesFromStorage);
+    const [categoryEditor, setCategoryEditor] = useState(null);
+    const [accounts, setAccounts] = useState(loadAccountsFromStorage);
+    const [accountEditor, setAccountEditor] = useState(null);
+    const [selectedAccountId, setSelectedAccountId] = useState(null);
+    const [transfers, setTransfers] = useState([]);
+    const [transferForm, setTransferForm] = useState(null);
+    const [categoryMerge, setCategoryMerge] = useState(null);
+    const [currencySettings, setCurrencySettings] = useState(loadCurrencySettingsFromStorage);
+    const [newCurrency, setNewCurrency] = useState({ code: '', rate: '' });
+
+    const [recurringRules, setRecurringRules] = useState([]);
+
+    const [tagInput, setTagInput] = useState('');
+    const [isAttaching, setIsAttaching] = useState(false);
+    // { attachments, index } while the receipt viewer is open
+    const [attachmentViewer, setAttachmentViewer] = useState(null);
+    const [viewerUrl, setViewerUrl] = useState('');
+    const [formData, setFormData] = useState(() =>
+        createEmptyFormData(getDefaultCategoryId(categories), 'expense', currencySettings.displayCurrency, getDefaultAccountId(accounts))
+    );
+
+    const { displayCurrency, rates: exchangeRates } = currencySettings;
+
+    const titleInputRef = useRef(null);
+    const modalRef = useRef(null);
+    const searchInputRef = useRef(null);
+    // Last lists written to IndexedDB, used to write only changed records
+    const persistedRef = useRef({ expenses: null, trash: null, recovery: null, settlements: null, transfers: null });
+    const persistQueueRef = useRef(Promise.resolve());
+    const preferenceQueueRef = useRef(Promise.resolve());
+    // Key that encrypts stored data while the app lock is on
+    const dataKeyRef = useRef(null);
+    // Channel to other open tabs, and the last value of each preference received from one
+    const syncChannelRef = useRef(null);
+    const syncedPreferencesRef = useRef({});
+    const updateRequestedRef = useRef(false);
+
+    // Toast functions
+    const showToast = useCallback((message, type = 'info', action = null) => {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        setToasts(prev => [...prev, { id, message, type, action }]);
+    }, []);
+
+    const removeToast = useCallback((id) => {
+        setToasts(prev => prev.filter(toast => toast.id !== id));
+    }, []);
+
+    // Load initial data from storage once the app is unlocked
+    useEffect(() => {
+        if (isLocked || !isLoading) return;
+
+        const loadData = async () => {
+            const key = dataKeyRef.current;
+            let savedExpenses = [];
+            let savedTrash = [];
+            let savedRecovery = [];
+            let savedSettlements = [];
+            let savedTransfers = [];
+            let savedRules = [];
+            let savedPreferences = null;
+            try {
+                [savedExpenses, savedTrash, savedRecovery, savedSettlements, savedTransfers] = await Promise.all([
+                    loadRecordsFromStorage(EXPENSES_STORE, key),
+                    loadRecordsFromStorage(TRASH_STORE, key),
+                    loadRecordsFromStorage(RECOVERY_STORE, key),
+                    loadRecordsFromStorage(SETTLEMENTS_STORE, key),
+                    loadRecordsFromStorage(TRANSFERS_STORE, key)
+                ]);
+                savedRules = loadRecurringRulesFromStorage(await readPreferenceWithKey(RECURRING_STORAGE_KEY, key));
+                // Encrypted preferences can only be read now that the app is unlocked
+                const [storedCategories, storedBudgets, storedCurrency, storedAccounts, storedRetention, storedSearches, storedViews] =
+                    await Promise.all([
+                        CATEGORIES_STORAGE_KEY, BUDGETS_STORAGE_KEY, CURRENCY_STORAGE_KEY, ACCOUNTS_STORAGE_KEY,
+                        TRASH_RETENTION_STORAGE_KEY, SAVED_SEARCHES_STORAGE_KEY, REPORT_VIEWS_STORAGE_KEY
+                    ].map(storageKey => readPreferenceWithKey(storageKey, key)));
+                savedPreferences = {
+                    categories: loadCategoriesFromStorage(storedCategories),
+                    budgets: loadBudgetsFromStorage(storedBudgets),
+                    currencySettings: loadCurrencySettingsFromStorage(storedCurrency),
+                    accounts: loadAccountsFromStorage(storedAccounts),
+                    trashRetentionDays: loadTrashRetentionFromStorage(storedRetention),
+                    savedSearches: loadSavedSearchesFromStorage(storedSearches),
+                    reportViews: loadReportViewsFromStorage(storedViews)
+                };
+                persistedRef.current = {
+                    expenses: savedExpenses,
+                    trash: savedTrash,
+                    recovery: savedRecovery,
+                    settlements: savedSettlements,
+                    transfers: savedTransfers
+                };
+            } catch (error) {
+                // Saving without knowing what is stored could overwrite it, so stay read-only
+                console.error('Error loading expenses:', error);
+                persistedRef.current = null;
+                showToast(`Could not open saved data, changes will not be saved: ${error.message}`, 'error');
+            }
+
+            // Migrate and repair stored records; anything beyond repair moves to the recovery list
+            const checkedExpenses = validateTransactions(savedExpenses);
+            const checkedTrash = validateTransactions(savedTrash);
+            const unrepairable = toRecoveryEntries(
+                [...checkedExpenses.invalid, ...checkedTrash.invalid],
+                'Saved data'
+            );
+
+            // Catch up on recurring expenses that fell due since the last visit
+            const { rules, generated } = materializeRecurringExpenses(savedRules, checkedExpenses.valid, getTodayString());
+
+            if (savedPreferences) {
+                setCategories(savedPreferences.categories);
+                setBudgets(savedPreferences.budgets);
+                setCurrencySettings(savedPreferences.currencySettings);
+                setAccounts(savedPreferences.accounts);
+                setTrashRetentionDays(savedPreferences.trashRetentionDays);
+                setSavedSearches(savedPreferences.savedSearches);
+                setReportViews(savedPreferences.reportViews);
+            }
+            setExpenses([...generated, ...checkedExpenses.valid]);
+            setRecurringRules(rules);
+            setTrash(purgeExpiredTrash(checkedTrash.valid, savedPreferences?.trashRetentionDays ?? trashRetentionDays));
+            setRecoveryRecords([...unrepairable, ...savedRecovery]);
+            setSettlements(savedSettlements);
+            setTransfers(savedTransfers);
+            setIsLoading(false);
+
+            if (generated.length > 0) {
+                showToast(`${generated.length} recurring expense(s) added`, 'info');
+            }
+            if (unrepairable.length > 0) {
+                showToast(
+                    `${unrepairable.length} saved record(s) could not be repaired`,
+                    'warning',
+                    { label: 'Review', onClick: () => setCurrentScreen(SCREEN.RECOVERY) }
+                );
+            }
+        };
+        
+        // Simulate loading for smooth UX
+        setTimeout(loadData, 500);
+    }, [isLocked]);
+
+    // Another tab upgraded the database and this tab's connection was closed for it: stop saving,
+    // since this version of the app no longer matches the stored schema, and ask for a reload
+    useEffect(() => {
+        const handleVersionChange = () => {
+            persistedRef.current = null;
+            showToast(
+                'The app was updated in another tab. Reload to keep saving changes.',
+                'warning',
+                { label: 'Reload', onClick: () => window.location.reload() }
+            );
+        };
+
+        window.addEventListener(DB_VERSION_CHANGE_EVENT, handleVersionChange);
+        return () => window.removeEventListener(DB_VERSION_CHANGE_EVENT, handleVersionChange);
+    }, [showToast]);
+
+    // Persist only the records that changed; after a failed write the next save rewrites the store.
+    // Writes are queued so a full rewrite can never land after a later incremental one.
+    const persistRecords = useCallback((key, storeName, records) => {
+        if (!persistedRef.current) return;
+        const previous = persistedRef.current[key];
+        persistedRef.current[key] = records;
+        persistQueueRef.current = persistQueueRef.current
+            .then(() => saveRecordsToStorage(storeName, previous, records, dataKeyRef.current))
+            .then(changes => {
+                if (changes.cleared || changes.puts.length > 0 || changes.deletes.length > 0) {
+                    syncChannelRef.current?.postMessage({ list: key, ...changes, at: Date.now() });
+                }
+            })
+            .catch(error => {
+                console.error(`Error saving ${key}:`, error);
+                if (persistedRef.current) {
+                    persistedRef.current[key] = null;
+                }
+                showToast(`Could not save your changes: ${error?.message || 'storage error'}`, 'error');
+            });
+    }, [showToast]);
+
+    // Save a localStorage preference, encrypted while the app lock is on. Nothing is written when
+    // saved data could not be opened, so defaults never replace preferences that failed to decrypt.
+    // Writes are queued so an older value can never land after a newer one.
+    const persistPreference = useCallback((key, value) => {
+        if (!persistedRef.current) return;
+        const dataKey = dataKeyRef.current;
+        preferenceQueueRef.current = preferenceQueueRef.current
+            .then(async () => {
+                writePreference(key, dataKey ? { encrypted: await encryptJSON(value, dataKey) } : value);
+            })
+            .catch(error => {
+                console.error(`Error saving ${key}:`, error);
+                showToast('Could not save your settings', 'error');
+            });
+    }, [showToast]);
+
+    // Write everything again, e.g. after the app lock key is added or removed
+    const rewriteStoredData = () => {
+        if (!persistedRef.current) return;
+        persistedRef.current = { expenses: null, trash: null, recovery: null, settlements: null, transfers: null };
+        persistRecords('expenses', EXPENSES_STORE, expenses);
+        persistRecords('trash', TRASH_STORE, trash);
+        persistRecords('recovery', RECOVERY_STORE, recoveryRecords);
+        persistRecords('settlements', SETTLEMENTS_STORE, settlements);
+        persistRecords('transfers', TRANSFERS_STORE, transfers);
+        persistPreference(RECURRING_STORAGE_KEY, recurringRules);
+        persistPreference(CATEGORIES_STORAGE_KEY, categories);
+        persistPreference(BUDGETS_STORAGE_KEY, budgets);
+        persistPreference(CURRENCY_STORAGE_KEY, currencySettings);
+        persistPreference(ACCOUNTS_STORAGE_KEY, accounts);
+        persistPreference(TRASH_RETENTION_STORAGE_KEY, trashRetentionDays);
+        persistPreference(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+        persistPreference(REPORT_VIEWS_STORAGE_KEY, reportViews);
+    };
+
+    // Save expenses whenever they change
+    useEffect(() => {
+        if (!isLoading) {
+            persistRecords('expenses', EXPENSES_STORE, expenses);
+        }
+    }, [expenses, isLoading]);
+
+    // Save recurring rules whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && recurringRules !== syncedPreferencesRef.current[RECURRING_STORAGE_KEY]) {
+            persistPreference(RECURRING_STORAGE_KEY, recurringRules);
+        }
+    }, [recurringRules, isLoading]);
+
+    // Save the trash whenever it changes
+    useEffect(() => {
+        if (!isLoading) {
+            persistRecords('trash', TRASH_STORE, trash);
+        }
+    }, [trash, isLoading]);
+
+    // Save records awaiting recovery whenever they change
+    useEffect(() => {
+        if (!isLoading) {
+            persistRecords('recovery', RECOVERY_STORE, recoveryRecords);
+        }
+    }, [recoveryRecords, isLoading]);
+
+    // Save settle-up payments whenever they change
+    useEffect(() => {
+        if (!isLoading) {
+            persistRecords('settlements', SETTLEMENTS_STORE, settlements);
+        }
+    }, [settlements, isLoading]);
+
+    // Save transfers between accounts whenever they change
+    useEffect(() => {
+        if (!isLoading) {
+            persistRecords('transfers', TRANSFERS_STORE, transfers);
+        }
+    }, [transfers, isLoading]);
+
+    // Merge records written by other tabs. The store mirror is updated first, so only
+    // records where this tab's copy wins are written back (and announced in turn).
+    useEffect(() => {
+        if (isLoading || typeof BroadcastChannel === 'undefined') return;
+
+        const setters = {
+            expenses: setExpenses,
+            trash: setTrash,
+            recovery: setRecoveryRecords,
+            settlements: setSettlements,
+            transfers: setTransfers
+        };
+        const channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        channel.onmessage = ({ data }) => {
+            const setRecords = setters[data.list];
+            if (!setRecords) return;
+            if (persistedRef.current?.[data.list]) {
+                persistedRef.current[data.list] = applyRecordChanges(persistedRef.current[data.list], data);
+            }
+            setRecords(prev => mergeSyncedRecords(prev, data));
+        };
+        syncChannelRef.current = channel;
+
+        return () => {
+            channel.close();
+            syncChannelRef.current = null;
+        };
+    }, [isLoading]);
+
+    // Recurring rules and other preferences live in localStorage, so other tabs' changes arrive
+    // as storage events. Each is stored whole, so the latest tab's copy replaces this one.
+    useEffect(() => {
+        if (isLoading) return;
+
+        const preferences = {
+            [RECURRING_STORAGE_KEY]: [setRecurringRules, loadRecurringRulesFromStorage],
+            [CATEGORIES_STORAGE_KEY]: [setCategories, loadCategoriesFromStorage],
+            [BUDGETS_STORAGE_KEY]: [setBudgets, loadBudgetsFromStorage],
+            [CURRENCY_STORAGE_KEY]: [setCurrencySettings, loadCurrencySettingsFromStorage],
+            [ACCOUNTS_STORAGE_KEY]: [setAccounts, loadAccountsFromStorage],
+            [TRASH_RETENTION_STORAGE_KEY]: [setTrashRetentionDays, loadTrashRetentionFromStorage],
+            [SAVED_SEARCHES_STORAGE_KEY]: [setSavedSearches, loadSavedSearchesFromStorage],
+            [REPORT_VIEWS_STORAGE_KEY]: [setReportViews, loadReportViewsFromStorage]
+        };
+
+        const handleStorage = async (event) => {
+            const preference = preferences[event.key];
+            if (!preference || !event.newValue) return;
+            const [setPreference, loadPreference] = preference;
+            try {
+                const value = loadPreference(await readPreferenceWithKey(event.key, dataKeyRef.current));
+                syncedPreferencesRef.current[event.key] = value;
+                setPreference(value);
+            } catch (error) {
+                console.error(`Error syncing ${event.key}:`, error);
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [isLoading]);
+
+    // Follow app lock changes made in another tab. A new or removed PIN means the key held here
+    // no longer matches what is stored, so lock (or unlock) to pick up the right one.
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (event.key !== LOCK_STORAGE_KEY) return;
+            const settings = loadLockSettingsFromStorage();
+            setLockSettings(settings);
+            if (settings.salt !== lockSettings.salt) {
+                dataKeyRef.current = null;
+                setIsLocked(settings.enabled);
+            }
+        };
+
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [lockSettings.salt]);
+
+    // Purge anything the retention period no longer covers
+    useEffect(() => {
+        setTrash(prev => purgeExpiredTrash(prev, trashRetentionDays));
+    }, [trashRetentionDays]);
+
+    // Save the retention period whenever it changes, unless it just came from another tab
+    useEffect(() => {
+        if (!isLoading && trashRetentionDays !== syncedPreferencesRef.current[TRASH_RETENTION_STORAGE_KEY]) {
+            persistPreference(TRASH_RETENTION_STORAGE_KEY, trashRetentionDays);
+        }
+    }, [trashRetentionDays, isLoading]);
+
+    // Register the service worker that caches the app for offline use, and watch for new versions
+    useEffect(() => {
+        if (!('serviceWorker' in navigator)) return;
+
+        const watchForUpdate = (registration) => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                setWaitingWorker(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        setWaitingWorker(worker);
+                    }
+                });
+            });
+        };
+
+        // Reload once the new version has taken over, but only when this tab asked for it
+        const handleControllerChange = () => {
+            if (updateRequestedRef.current) {
+                window.location.reload();
+            }
+        };
+
+        const handleWorkerMessage = (event) => {
+            if (event.data?.type === 'UPDATE_CACHED') {
+                setIsUpdateCached(true);
+            }
+        };
+
+        navigator.serviceWorker.register('sw.js')
+            .then(watchForUpdate)
+            .catch(error => console.error('Error registering service worker:', error));
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+        return () => {
+            navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+            navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+        };
+    }, []);
+
+    // Let the user know the app keeps working without a connection
+    useEffect(() => {
+        const handleOffline = () => showToast('You are offline. Changes are still saved on this device.', 'warning');
+        const handleOnline = () => showToast('Back online', 'success');
+
+        window.addEventListener('offline', handleOffline);
+        window.addEventListener('online', handleOnline);
+        return () => {
+            window.removeEventListener('offline', handleOffline);
+            window.removeEventListener('online', handleOnline);
+        };
+    }, [showToast]);
+
+    const handleApplyUpdate = () => {
+        // Newer app files are already cached, or another tab activated the new version; then a reload is enough
+        if (!waitingWorker || waitingWorker.state !== 'installed') {
+            window.location.reload();
+            return;
+        }
+        updateRequestedRef.current = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    };
+
+    // Save app lock settings whenever they change
+    useEffect(() => {
+        saveLockSettingsToStorage(lockSettings);
+    }, [lockSettings]);
+
+    // Lock again after a period without mouse, keyboard or touch activity
+    useEffect(() => {
+        if (!lockSettings.enabled || !lockSettings.autoLockMinutes || isLocked) return;
+
+        let timer;
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => setIsLocked(true), lockSettings.autoLockMinutes * 60 * 1000);
+        };
+        const activityEvents = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+
+        activityEvents.forEach(name => window.addEventListener(name, resetTimer, { passive: true }));
+        resetTimer();
+        return () => {
+            clearTimeout(timer);
+            activityEvents.forEach(name => window.removeEventListener(name, resetTimer));
+        };
+    }, [lockSettings.enabled, lockSettings.autoLockMinutes, isLocked]);
+
+    // PDFs are shown through an object URL, since browsers block data URLs in frames
+    useEffect(() => {
+        const attachment = attachmentViewer && attachmentViewer.attachments[attachmentViewer.index];
+        if (!attachment || attachment.type !== 'application/pdf') {
+            setViewerUrl('');
+            return;
+        }
+        const url = URL.createObjectURL(dataURLToBlob(attachment.data));
+        setViewerUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [attachmentViewer]);
+
+    // Save report views whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && reportViews !== syncedPreferencesRef.current[REPORT_VIEWS_STORAGE_KEY]) {
+            persistPreference(REPORT_VIEWS_STORAGE_KEY, reportViews);
+        }
+    }, [reportViews, isLoading]);
+
+    // Save saved searches whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && savedSearches !== syncedPreferencesRef.current[SAVED_SEARCHES_STORAGE_KEY]) {
+            persistPreference(SAVED_SEARCHES_STORAGE_KEY, savedSearches);
+        }
+    }, [savedSearches, isLoading]);
+
+    // Save accounts whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && accounts !== syncedPreferencesRef.current[ACCOUNTS_STORAGE_KEY]) {
+            persistPreference(ACCOUNTS_STORAGE_KEY, accounts);
+        }
+    }, [accounts, isLoading]);
+
+    // Save categories whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && categories !== syncedPreferencesRef.current[CATEGORIES_STORAGE_KEY]) {
+            persistPreference(CATEGORIES_STORAGE_KEY, categories);
+        }
+    }, [categories, isLoading]);
+
+    // Save currency settings whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && currencySettings !== syncedPreferencesRef.current[CURRENCY_STORAGE_KEY]) {
+            persistPreference(CURRENCY_STORAGE_KEY, currencySettings);
+        }
+    }, [currencySettings, isLoading]);
+
+    // Save budgets whenever they change, unless they just came from another tab
+    useEffect(() => {
+        if (!isLoading && budgets !== syncedPreferencesRef.current[BUDGETS_STORAGE_KEY]) {
+            persistPreference(BUDGETS_STORAGE_KEY, budgets);
+        }
+    }, [budgets, isLoading]);
+
+    // Keep the Reports date range in the URL
+    useEffect(() => {
+        writeReportViewToUrl(currentScreen, dateRange);
+    }, [currentScreen, dateRange]);
+
+    // Save dark mode preference
+    useEffect(() => {
+        localStorage.setItem('darkMode', JSON.stringify(darkMode));
+        document.body.className = darkMode ? 'dark' : '';
+    }, [darkMode]);
+
+    // Auto focus on title input when add/edit screen opens
+    useEffect(() => {
+        if ((currentScreen === SCREEN.ADD || currentScreen === SCREEN.EDIT) && titleInputRef.current) {
+            setTimeout(() => titleInputRef.current.focus(), 100);
+        }
+    }, [currentScreen]);
+
+    // Click outside handler for modals
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (modalRef.current && !modalRef.current.contains(event.target)) {
+                setIsExportModalOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    // Undo/redo history: each entry snapshots transactions, recurring rules and trash before a change
+    // Returns the new entry's id, so a toast can later check that its change is still the one on top
+    const recordHistory = useCallback((label) => {
+        const id = crypto.randomUUID();
+        setHistory(prev => ({
+            past: [...prev.past, { id, label, expenses, recurringRules, trash }].slice(-HISTORY_LIMIT),
+            future: []
+        }));
+        return id;
+    }, [expenses, recurringRules, trash]);
+
+    const restoreHistoryEntry = (entry) => {
+        setExpenses(entry.expenses);
+        setRecurringRules(entry.recurringRules);
+        setTrash(entry.trash);
+        setSelectedExpenses([]);
+        setSelectedExpense(null);
+        if (currentScreen === SCREEN.EDIT) {
+            setCurrentScreen(SCREEN.DASHBOARD);
+        }
+    };
+
+    // With a history id (from a toast), only undo while that change is still the most recent one
+    const handleUndo = useCallback((historyId) => {
+        const entry = history.past[history.past.length - 1];
+        if (!entry) {
+            showToast('Nothing to undo', 'info');
+            return;
+        }
+        if (typeof historyId === 'string' && entry.id !== historyId) {
+            showToast('That change can no longer be undone from here', 'info');
+            return;
+        }
+
+        setHistory({
+            past: history.past.slice(0, -1),
+            future: [...history.future, { label: entry.label, expenses, recurringRules, trash }]
+        });
+        restoreHistoryEntry(entry);
+        showToast(`Undid ${entry.label}`, 'info');
+    }, [history, expenses, recurringRules, trash, currentScreen, showToast]);
+
+    const handleRedo = useCallback(() => {
+        const entry = history.future[history.future.length - 1];
+        if (!entry) {
+            showToast('Nothing to redo', 'info');
+            return;
+        }
+
+        setHistory({
+            past: [...history.past, { label: entry.label, expenses, recurringRules, trash }],
+            future: history.future.slice(0, -1)
+        });
+        restoreHistoryEntry(entry);
+        showToast(`Redid ${entry.label}`, 'info');
+    }, [history, expenses, recurringRules, trash, currentScreen, showToast]);
+
+    // Toasts outlive the render that created them, so their Undo button reads the latest handler.
+    // The action remembers which history entry it undoes; the button is hidden once that entry is buried.
+    const undoRef = useRef(handleUndo);
+    undoRef.current = handleUndo;
+    const getUndoToastAction = useCallback((historyId) => ({
+        label: 'Undo',
+        historyId,
+        onClick: () => undoRef.current(historyId)
+    }), []);
+
+    const isToastActionAvailable = (action) =>
+        Boolean(action) && (!action.historyId || history.past[history.past.length - 1]?.id === action.historyId);
+
+    // Keyboard shortcuts
+    useEffect(() => {
+        const handleKeyPress = (e) => {
+            if (isLocked) return;
+
+            // Ctrl/Cmd + N for new expense
+            if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+                e.preventDefault();
+                navigateTo(SCREEN.ADD);
+            }
+            // Ctrl/Cmd + F for search (only in reports)
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f' && currentScreen === SCREEN.REPORTS) {
+                e.preventDefault();
+                searchInputRef.current?.focus();
+            }
+            // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo, outside text fields
+            const isEditingText = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+            if ((e.ctrlKey || e.metaKey) && !isEditingText) {
+                if (e.key.toLowerCase() === 'z') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        handleRedo();
+                    } else {
+                        handleUndo();
+                    }
+                } else if (e.key === 'y') {
+                    e.preventDefault();
+                    handleRedo();
+                }
+            }
+            // Escape to close modals
+            if (e.key === 'Escape') {
+                setIsExportModalOpen(false);
+                setCsvImport(null);
+                setImportReview(null);
+                setEncryptedImport(null);
+                setMobileMenuOpen(false);
+                setActiveDropdown(null);
+                setShowSearchHelp(false);
+                setSavedSearchName(null);
+                setShowColumnMenu(false);
+                setReportViewName(null);
+                setAttachmentViewer(null);
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyPress);
+        return () => document.removeEventListener('keydown', handleKeyPress);
+    }, [currentScreen, isLocked, handleUndo, handleRedo]);
+
+    // Format a base-currency amount in the chosen display currency
+    const formatAmount = useCallback((amount) =>
+        formatCurrency(convertFromBase(amount, displayCurrency, exchangeRates), displayCurrency),
+        [displayCurrency, exchangeRates]
+    );
+
+    // Memoized calculations
+    const activeCategories = useMemo(() => 
+        categories.filter(category => !category.archived), [categories]
+    );
+
+    // Category for an expense, or income source for an income entry
+    const getTransactionCategory = (transaction) => isIncome(transaction)
+        ? findCategory(INCOME_SOURCES, transaction.category)
+        : findCategory(categories, transaction.category);
+
+    const expenseEntries = useMemo(() => 
+        expenses.filter(expense => !isIncome(expense)), [expenses]
+    );
+
+    const incomeEntries = useMemo(() => 
+        expenses.filter(isIncome), [expenses]
+    );
+
+    const totalExpenses = useMemo(() => 
+        expenseEntries.reduce((sum, expense) => sum + expense.amount, 0), [expenseEntries]
+    );
+
+    const todayString = useMemo(() => getTodayString(), []);
+
+    const todayExpenses = useMemo(() => 
+        expenseEntries
+            .filter(expense => expense.date === todayString)
+            .reduce((sum, expense) => sum + expense.amount, 0), [expenseEntries, todayString]
+    );
+
+    const currentMonthExpenses = useMemo(() => 
+        expenseEntries.filter(expense => isCurrentMonth(expense.date)), [expenseEntries]
+    );
+
+    const monthlyExpenses = useMemo(() => 
+        currentMonthExpenses.reduce((sum, expense) => sum + expense.amount, 0), [currentMonthExpenses]
+    );
+
+    const monthlyIncome = useMemo(() => 
+        incomeEntries
+            .filter(income => isCurrentMonth(income.date))
+            .reduce((sum, income) => sum + income.amount, 0), [incomeEntries]
+    );
+
+    const monthlySavingsRate = useMemo(() => 
+        getSavingsRate(monthlyIncome, monthlyExpenses), [monthlyIncome, monthlyExpenses]
+    );
+
+    const monthlyCategoryTotals = useMemo(() => {
+        return currentMonthExpenses.reduce((result, expense) => {
+            result[expense.category] = (result[expense.category] || 0) + expense.amount;
+            return result;
+        }, {});
+    }, [currentMonthExpenses]);
+
+    // Budget progress for the current month, overall first
+    const budgetProgress = useMemo(() => {
+        const progress = activeCategories
+            .filter(category => budgets.categories[category.id] > 0)
+            .map(category => ({
+                id: category.id,
+                name: category.name,
+                icon: category.icon,
+                color: category.color,
+                limit: budgets.categories[category.id],
+                spent: monthlyCategoryTotals[category.id] || 0
+            }));
+
+        if (budgets.overall > 0) {
+            progress.unshift({
+                id: 'overall',
+                name: 'Overall',
+                icon: 'fa-wallet',
+                color: '#6366f1',
+                limit: budgets.overall,
+                spent: monthlyExpenses
+            });
+        }
+
+        return progress;
+    }, [activeCategories, budgets, monthlyCategoryTotals, monthlyExpenses]);
+
+    const averageExpense = useMemo(() => 
+        expenseEntries.length > 0 ? totalExpenses / expenseEntries.length : 0, [expenseEntries, totalExpenses]
+    );
+
+    // Reports screen data, limited to the selected date range
+    const dateRangeBounds = useMemo(() => getDateRangeBounds(dateRange), [dateRange]);
+
+    const reportTransactions = useMemo(() => 
+        expenses.filter(transaction => isWithinDateRange(transaction.date, dateRangeBounds)), [expenses, dateRangeBounds]
+    );
+
+    const reportExpenseEntries = useMemo(() => 
+        reportTransactions.filter(expense => !isIncome(expense)), [reportTransactions]
+    );
+
+    const reportTotals = useMemo(() => {
+        const amounts = reportExpenseEntries.map(expense => expense.amount);
+        const spent = amounts.reduce((sum, amount) => sum + amount, 0);
+        const income = reportTransactions
+            .filter(isIncome)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+
+        return {
+            income,
+            expenses: spent,
+            average: amounts.length > 0 ? spent / amounts.length : 0,
+            highest: amounts.length > 0 ? Math.max(...amounts) : 0,
+            lowest: amounts.length > 0 ? Math.min(...amounts) : 0
+        };
+    }, [reportTransactions, reportExpenseEntries]);
+
+    // Income, expenses and net savings per month, newest first
+    const monthlyCashFlow = useMemo(() => {
+        const months = reportTransactions.reduce((result, transaction) => {
+            const month = transaction.date.slice(0, 7);
+            result[month] = result[month] || { month, income: 0, expenses: 0 };
+            result[month][isIncome(transaction) ? 'income' : 'expenses'] += transaction.amount;
+            return result;
+        }, {});
+
+        return Object.values(months)
+            .sort((a, b) => b.month.localeCompare(a.month))
+            .map(entry => ({
+                ...entry,
+                net: entry.income - entry.expenses,
+                savingsRate: getSavingsRate(entry.income, entry.expenses)
+            }));
+    }, [reportTransactions]);
+
+    const categoryTotals = useMemo(() => {
+        return reportExpenseEntries.reduce((result, expense) => {
+            result[expense.category] = (result[expense.category] || 0) + expense.amount;
+            return result;
+        }, {});
+    }, [reportExpenseEntries]);
+
+    const topCategories = useMemo(() => {
+        return Object.entries(categoryTotals)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([category, amount]) => {
+                const { name, icon, color } = findCategory(categories, category);
+                return { category, amount, name, icon, color };
+            });
+    }, [categoryTotals, categories]);
+
+    const searchQuery = useMemo(() => parseSearchQuery(searchTerm), [searchTerm]);
+
+    // Saved search matching the current query, if any
+    const activeSavedSearch = useMemo(() =>
+        savedSearches.find(saved => saved.query === searchTerm.trim()), [savedSearches, searchTerm]
+    );
+
+    // Everything a saved report view captures about the Reports screen
+    const reportViewSettings = useMemo(() => ({
+        searchTerm: searchTerm.trim(),
+        filterType,
+        filterCategory,
+        filterAccount,
+        filterTags,
+        sortBy,
+        dateRange,
+        visibleColumns
+    }), [searchTerm, filterType, filterCategory, filterAccount, filterTags, sortBy, dateRange, visibleColumns]);
+
+    const activeReportView = useMemo(() =>
+        reportViews.find(view => isSameReportView(view, reportViewSettings)), [reportViews, reportViewSettings]
+    );
+
+    // Filtered and sorted expenses
+    const filteredExpenses = useMemo(() => {
+        const searchLookups = {
+            getCategory: getTransactionCategory,
+            accounts,
+            toDisplayAmount: (amount) => convertFromBase(amount, displayCurrency, exchangeRates)
+        };
+
+        return reportTransactions
+            .filter(expense => {
+                // Search query
+                const matchesSearch = matchesSearchQuery(expense, searchQuery, searchLookups);
+                
+                // Category filter
+                const matchesCategory = filterCategory === 'all' || expense.category === filterCategory;
+
+                // Transaction type filter
+                const matchesType = filterType === 'all' || (expense.type || 'expense') === filterType;
+
+                // Account filter; 'none' finds transactions not assigned to an account
+                const matchesAccount = filterAccount === 'all' ||
+                    (filterAccount === 'none' ? !expense.account : expense.account === filterAccount);
+                
+                // Tag filter; a transaction needs every selected tag
+                const matchesTags = filterTags.every(tag => expense.tags?.includes(tag));
+                
+                return matchesSearch && matchesCategory && matchesType && matchesAccount && matchesTags;
+            })
+            .sort((a, b) => {
+                switch(sortBy) {
+                    case 'date-desc':
+                        return new Date(b.date) - new Date(a.date);
+                    case 'date-asc':
+                        return new Date(a.date) - new Date(b.date);
+                    case 'amount-desc':
+                        return b.amount - a.amount;
+                    case 'amount-asc':
+                        return a.amount - b.amount;
+                    case 'title-asc':
+                        return a.title.localeCompare(b.title);
+                    case 'title-desc':
+                        return b.title.localeCompare(a.title);
+                    default:
+                        return 0;
+                }
+            });
+    }, [reportTransactions, searchQuery, categories, accounts, displayCurrency, exchangeRates, filterCategory, filterType, filterAccount, filterTags, sortBy]);
+
+    // Newest transactions for the Dashboard, independent of the Reports filters and date range
+    const recentExpenses = useMemo(() =>
+        [...expenses]
+            .sort((a, b) => b.date.localeCompare(a.date) || (b.createdAt || 0) - (a.createdAt || 0))
+            .slice(0, 5),
+        [expenses]
+    );
+
+    // Split expenses: who owes whom, and the fewest payments that would settle everything
+    const pairwiseDebts = useMemo(() =>
+        computePairwiseDebts(expenses, settlements), [expenses, settlements]
+    );
+
+    const peopleBalances = useMemo(() =>
+        computeBalances(pairwiseDebts), [pairwiseDebts]
+    );
+
+    const simplifiedDebts = useMemo(() =>
+        simplifyDebts(peopleBalances), [peopleBalances]
+    );
+
+    // Every tag in use, most used first, for autocomplete and the tag filter
+    const allTags = useMemo(() => {
+        const counts = {};
+        expenses.forEach(expense => (expense.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        }));
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+    }, [expenses]);
+
+    // Spending per tag in the report period; an expense counts towards each of its tags
+    const tagTotals = useMemo(() => {
+        const totals = {};
+        reportExpenseEntries.forEach(expense => (expense.tags || []).forEach(tag => {
+            totals[tag] = (totals[tag] || 0) + expense.amount;
+        }));
+        return Object.entries(totals)
+            .map(([tag, amount]) => ({ tag, amount }))
+            .sort((a, b) => b.amount - a.amount);
+    }, [reportExpenseEntries]);
+
+    // Running balance of every account, keyed by account id
+    const accountLedgers = useMemo(() =>
+        Object.fromEntries(accounts.map(account => [account.id, getAccountLedger(account, expenses, transfers)])),
+        [accounts, expenses, transfers]
+    );
+
+    const accountBalances = useMemo(() =>
+        Object.fromEntries(accounts.map(account => {
+            const ledger = accountLedgers[account.id];
+            return [account.id, ledger.length > 0 ? ledger[ledger.length - 1].balance : Number(account.openingBalance) || 0];
+        })),
+        [accounts, accountLedgers]
+    );
+
+    // Everyone named in a split or a settlement, for autocomplete and the settle-up form
+    const knownPeople = useMemo(() => {
+        const names = [
+            ...expenses.flatMap(expense => expense.split ? expense.split.shares.map(share => share.person) : []),
+            ...settlements.flatMap(settlement => [settlement.from, settlement.to])
+        ];
+        return [...new Set(names)].filter(name => name !== SELF_PERSON).sort((a, b) => a.localeCompare(b));
+    }, [expenses, settlements]);
+
+    // CSV import: parsed rows and headers for the file being imported
+    const csvImportTable = useMemo(() => {
+        if (!csvImport) return { headers: [], rows: [] };
+        const rows = parseCSV(csvImport.text, csvImport.delimiter);
+        const columnCount = Math.max(0, ...rows.map(row => row.length));
+        const headers = Array.from({ length: columnCount }, (_, i) =>
+            (csvImport.hasHeader && rows[0]?.[i]?.trim()) || `Column ${i + 1}`
+        );
+        return { headers, rows: csvImport.hasHeader ? rows.slice(1) : rows };
+    }, [csvImport?.text, csvImport?.delimiter, csvImport?.hasHeader]);
+
+    // Validation
+    const validateForm = (data) => {
+        const errors = {};
+        
+        if (!data.title.trim()) {
+            errors.title = 'Title is required';
+        } else if (data.title.length < 3) {
+            errors.title = 'Title must be at least 3 characters';
+        }
+        
+        if (!data.amount) {
+            errors.amount = 'Amount is required';
+        } else if (isNaN(data.amount) || Number(data.amount) <= 0) {
+            errors.amount = 'Amount must be a positive number';
+        } else if (convertToBase(Number(data.amount), data.currency || BASE_CURRENCY, exchangeRates) > 10000000) {
+            errors.amount = 'Amount cannot exceed the equivalent of 10 million PKR';
+        }
+
+        if (data.currency && !exchangeRates[data.currency]) {
+            errors.amount = `No exchange rate set for ${data.currency}`;
+        }
+        
+        if (!data.category) {
+            errors.category = 'Category is required';
+        }
+        
+        if (!data.date) {
+            errors.date = 'Date is required';
+        } else {
+            const selectedDate = new Date(data.date);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            if (selectedDate > today) {
+                errors.date = 'Date cannot be in the future';
+            }
+        }
+        
+        if (data.split && !isIncome(data)) {
+            const splitError = validateSplit(data.split, Number(data.amount));
+            if (splitError) {
+                errors.split = splitError;
+            }
+        }
+
+        if (data.recurrence && data.recurrence !== 'none') {
+            if (data.recurrenceEnd === 'date') {
+                if (!data.recurrenceEndDate) {
+                    errors.recurrenceEndDate = 'End date is required';
+                } else if (data.date && data.recurrenceEndDate < data.date) {
+                    errors.recurrenceEndDate = 'End date cannot be before the start date';
+                }
+            } else if (data.recurrenceEnd === 'count') {
+                const count = Number(data.recurrenceCount);
+                if (!Number.isInteger(count) || count < 1) {
+                    errors.recurrenceCount = 'Number of occurrences must be a whole number of at least 1';
+                }
+            }
+        }
+        
+        return errors;
+    };
+
+    // CSV import: each row mapped to a transaction and checked with the form's validation rules
+    const csvImportPreview = useMemo(() => {
+        if (!csvImport) return [];
+        const { mapping, dateFormat, decimalSeparator, amountSign, defaultCategory, hasHeader } = csvImport;
+
+        return csvImportTable.rows.map((row, index) => {
+            const read = (field) => mapping[field] === '' ? '' : (row[Number(mapping[field])] || '').trim();
+            const amount = parseImportAmount(read('amount'), decimalSeparator);
+            const type = mapping.type !== ''
+                ? (/income|credit/i.test(read('type')) ? 'income' : 'expense')
+                : getSignedAmountType(amount, amountSign);
+            const rawCategory = read('category').toLowerCase();
+            const categoryOptions = type === 'income' ? INCOME_SOURCES : categories;
+            const category = categoryOptions.find(c =>
+                c.id.toLowerCase() === rawCategory || c.name.toLowerCase() === rawCategory
+            )?.id || (type === 'income' ? 'other-income' : defaultCategory);
+            const date = parseImportDate(read('date'), dateFormat);
+
+            const data = {
+                type,
+                title: read('title'),
+                amount: Number.isNaN(amount) ? '' : String(Math.abs(amount)),
+                currency: BASE_CURRENCY,
+                category,
+                date: date || '',
+                notes: read('notes')
+            };
+            const errors = validateForm(data);
+            if (read('amount') && Number.isNaN(amount)) {
+                errors.amount = `Unrecognised amount "${read('amount')}"`;
+            }
+            if (read('date') && !date) {
+                errors.date = `Date "${read('date')}" does not match ${dateFormat}`;
+            }
+
+            return {
+                rowNumber: index + (hasHeader ? 2 : 1),
+                data,
+                errors: Object.values(errors).filter(Boolean)
+            };
+        });
+    }, [csvImport, csvImportTable, categories, exchangeRates]);
+
+    // Warn when new expenses push this month's spending past a budget threshold
+    const notifyBudgetThresholds = (addedExpenses) => {
+        const addedThisMonth = addedExpenses.filter(expense => !isIncome(expense) && isCurrentMonth(expense.date));
+        if (addedThisMonth.length === 0) return;
+
+        const addedByCategory = addedThisMonth.reduce((result, expense) => {
+            result[expense.category] = (result[expense.category] || 0) + expense.amount;
+            return result;
+        }, {});
+        const checks = Object.entries(addedByCategory).map(([category, added]) => ({
+            label: findCategory(categories, category).name,
+            limit: budgets.categories[category],
+            spent: monthlyCategoryTotals[category] || 0,
+            added
+        }));
+        checks.push({
+            label: 'Overall',
+            limit: budgets.overall,
+            spent: monthlyExpenses,
+            added: addedThisMonth.reduce((sum, expense) => sum + expense.amount, 0)
+        });
+
+        checks.forEach(({ label, limit, spent, added }) => {
+            const crossed = getCrossedBudgetThreshold(spent, spent + added, limit);
+            if (crossed === 'exceeded') {
+                showToast(`${label} budget exceeded: ${formatAmount(spent + added)} of ${formatAmount(limit)}`, 'error');
+            } else if (crossed === 'warning') {
+                showToast(`${label} budget is ${Math.round(BUDGET_WARNING_RATIO * 100)}% used: ${formatAmount(spent + added)} of ${formatAmount(limit)}`, 'warning');
+            }
+        });
+    };
+
+    const handleDisplayCurrencyChange = (currency) => {
+        setCurrencySettings(prev => ({ ...prev, displayCurrency: currency }));
+    };
+
+    const handleExchangeRateChange = (currency, value) => {
+        const rate = Number(value);
+        if (!(rate > 0)) return;
+        setCurrencySettings(prev => ({ ...prev, rates: { ...prev.rates, [currency]: rate } }));
+    };
+
+    const handleAddCurrency = () => {
+        const code = newCurrency.code.trim().toUpperCase();
+        const rate = Number(newCurrency.rate);
+        if (!isValidCurrencyCode(code)) {
+            showToast('Enter a valid 3-letter currency code, e.g. EUR', 'error');
+            return;
+        }
+        if (exchangeRates[code]) {
+            showToast(`${code} is already in the rate table`, 'warning');
+            return;
+        }
+        if (!(rate > 0)) {
+            showToast('Exchange rate must be a positive number', 'error');
+            return;
+        }
+        setCurrencySettings(prev => ({ ...prev, rates: { ...prev.rates, [code]: rate } }));
+        setNewCurrency({ code: '', rate: '' });
+        showToast(`${code} added`, 'success');
+    };
+
+    const handleRemoveCurrency = (currency) => {
+        if (expenses.some(e => e.currency === currency) || recurringRules.some(r => r.template.currency === currency)) {
+            showToast(`${currency} is used by existing transactions and cannot be removed`, 'warning');
+            return;
+        }
+        setCurrencySettings(prev => {
+            const { [currency]: removed, ...rates } = prev.rates;
+            return {
+                displayCurrency: prev.displayCurrency === currency ? BASE_CURRENCY : prev.displayCurrency,
+                rates
+            };
+        });
+    };
+
+    const handleBudgetChange = (key, value) => {
+        const limit = Math.max(0, Number(value) || 0);
+        setBudgets(prev => key === 'overall'
+            ? { ...prev, overall: limit }
+            : { ...prev, categories: { ...prev.categories, [key]: limit } }
+        );
+    };
+
+    // Handlers
+    const handleInputChange = (event) => {
+        const { name, value } = event.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        
+        // Clear validation error for this field
+        if (validationErrors[name]) {
+            setValidationErrors(prev => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    const handleTypeChange = (type) => {
+        setFormData(prev => ({
+            ...prev,
+            type,
+            category: type === 'income' ? INCOME_SOURCES[0].id : getDefaultCategoryId(categories),
+            split: type === 'income' ? null : prev.split
+        }));
+        setValidationErrors({});
+    };
+
+    // Split section of the expense form
+    const updateSplit = (update) => {
+        setFormData(prev => ({ ...prev, split: update(prev.split) }));
+        if (validationErrors.split) {
+            setValidationErrors(prev => ({ ...prev, split: '' }));
+        }
+    };
+
+    const handleToggleSplit = (enabled) => {
+        updateSplit(() => enabled ? createEmptySplit() : null);
+    };
+
+    const handleSplitFieldChange = (event) => {
+        const { name, value } = event.target;
+        updateSplit(split => ({ ...split, [name]: value }));
+    };
+
+    const handleSplitShareChange = (index, field, value) => {
+        updateSplit(split => ({
+            ...split,
+            shares: split.shares.map((share, i) => i === index ? { ...share, [field]: value } : share)
+        }));
+    };
+
+    const handleAddSplitPerson = () => {
+        updateSplit(split => ({ ...split, shares: [...split.shares, { person: '', value: '' }] }));
+    };
+
+    const handleRemoveSplitPerson = (index) => {
+        updateSplit(split => ({ ...split, shares: split.shares.filter((share, i) => i !== index) }));
+    };
+
+    // Tag input on the expense form: Enter, comma or leaving the field turns the text into tags
+    const handleAddTags = (value) => {
+        const added = parseTags(value);
+        if (added.length > 0) {
+            setFormData(prev => ({ ...prev, tags: parseTags([...prev.tags, ...added]) }));
+        }
+        setTagInput('');
+    };
+
+    const handleRemoveTag = (tag) => {
+        setFormData(prev => ({ ...prev, tags: prev.tags.filter(t => t !== tag) }));
+    };
+
+    const handleTagInputChange = (event) => {
+        const { value } = event.target;
+        if (value.includes(',')) {
+            handleAddTags(value);
+        } else {
+            setTagInput(value);
+        }
+    };
+
+    const handleTagInputKeyDown = (event) => {
+        if (event.key === 'Enter' && tagInput.trim()) {
+            event.preventDefault();
+            handleAddTags(tagInput);
+        } else if (event.key === 'Backspace' && !tagInput && formData.tags.length > 0) {
+            handleRemoveTag(formData.tags[formData.tags.length - 1]);
+        }
+    };
+
+    // Files picked on the expense form are read one at a time so large photos don't pile up in memory
+    const handleAttachFiles = async (event) => {
+        const input = event.target;
+        const files = Array.from(input.files || []);
+        if (files.length === 0) return;
+
+        setIsAttaching(true);
+        const added = [];
+        for (const file of files) {
+            try {
+                added.push(await createAttachment(file));
+            } catch (error) {
+                console.error('Error attaching file:', error);
+                showToast(error.message, 'error');
+            }
+        }
+        if (added.length > 0) {
+            setFormData(prev => ({ ...prev, attachments: [...prev.attachments, ...added] }));
+        }
+        setIsAttaching(false);
+        input.value = '';
+    };
+
+    const handleRemoveAttachment = (id) => {
+        setFormData(prev => ({ ...prev, attachments: prev.attachments.filter(a => a.id !== id) }));
+    };
+
+    const handleSaveSearch = (event) => {
+        event.preventDefault();
+        const name = savedSearchName.trim();
+        const query = searchTerm.trim();
+        if (!name || !query) return;
+
+        // Saving under an existing name replaces that search's query
+        setSavedSearches(prev => {
+            const existing = prev.find(saved => saved.name.toLowerCase() === name.toLowerCase());
+            return existing
+                ? prev.map(saved => saved.id === existing.id ? { ...saved, query } : saved)
+                : [...prev, { id: crypto.randomUUID(), name, query }];
+        });
+        setSavedSearchName(null);
+        showToast(`Saved search "${name}"`, 'success');
+    };
+
+    const handleDeleteSavedSearch = (savedSearch) => {
+        if (!window.confirm(`Delete the saved search "${savedSearch.name}"?`)) return;
+        setSavedSearches(prev => prev.filter(saved => saved.id !== savedSearch.id));
+        showToast('Saved search deleted', 'success');
+    };
+
+    const handleSelectSavedSearch = (id) => {
+        const savedSearch = savedSearches.find(saved => saved.id === id);
+        if (savedSearch) {
+            setSearchTerm(savedSearch.query);
+            setSavedSearchName(null);
+        }
+    };
+
+    const handleToggleColumn = (columnId) => {
+        setVisibleColumns(prev => prev.includes(columnId)
+            ? prev.filter(id => id !== columnId)
+            : REPORT_COLUMNS.map(column => column.id).filter(id => id === columnId || prev.includes(id))
+        );
+    };
+
+    const handleSaveReportView = (event) => {
+        event.preventDefault();
+        const name = reportViewName.trim();
+        if (!name) return;
+
+        // Saving under an existing name updates that view and keeps its pin
+        setReportViews(prev => {
+            const existing = prev.find(view => view.name.toLowerCase() === name.toLowerCase());
+            return existing
+                ? prev.map(view => view.id === existing.id ? { ...view, ...reportViewSettings } : view)
+                : [...prev, { id: crypto.randomUUID(), name, pinned: false, ...reportViewSettings }];
+        });
+        setReportViewName(null);
+        showToast(`Saved view "${name}"`, 'success');
+    };
+
+    const handleApplyReportView = (view) => {
+        const settings = getReportViewSettings(view);
+        // A category or account deleted since the view was saved falls back to showing all
+        const categoryExists = [...categories, ...INCOME_SOURCES].some(c => c.id === settings.filterCategory);
+        const accountExists = settings.filterAccount === 'none' || accounts.some(a => a.id === settings.filterAccount);
+        setSearchTerm(settings.searchTerm);
+        setFilterType(settings.filterType);
+        setFilterCategory(categoryExists ? settings.filterCategory : 'all');
+        setFilterAccount(accountExists ? settings.filterAccount : 'all');
+        setFilterTags(settings.filterTags);
+        setSortBy(settings.sortBy);
+        setDateRange(settings.dateRange);
+        setVisibleColumns(settings.visibleColumns);
+        setSelectedExpenses([]);
+        navigateTo(SCREEN.REPORTS);
+    };
+
+    const handleTogglePinReportView = (id) => {
+        setReportViews(prev => prev.map(view => view.id === id ? { ...view, pinned: !view.pinned } : view));
+    };
+
+    const handleDeleteReportView = (view) => {
+        if (!window.confirm(`Delete the view "${view.name}"?`)) return;
+        setReportViews(prev => prev.filter(v => v.id !== view.id));
+        showToast('View deleted', 'success');
+    };
+
+    const handleToggleTagFilter = (tag) => {
+        setFilterTags(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
+    };
+
+    const handleAddExpense = useCallback((event) => {
+        event.preventDefault();
+        
+        const errors = validateForm(formData);
+        if (Object.keys(errors).length > 0) {
+            setValidationErrors(errors);
+            showToast('Please fix the errors in the form', 'error');
+            return;
+        }
+
+        const { recurrence, recurrenceEnd, recurrenceEndDate, recurrenceCount, split, tags, attachments, ...expenseFields } = formData;
+        const originalAmount = Number(formData.amount);
+        const newExpense = {
+            id: crypto.randomUUID(),
+            schemaVersion: RECORD_SCHEMA_VERSION,
+            ...expenseFields,
+            ...(tags.length > 0 && { tags }),
+            ...(attachments.length > 0 && { attachments }),
+            amount: convertToBase(originalAmount, formData.currency, exchangeRates),
+            originalAmount,
+            createdAt: Date.now()
+        };
+        if (split && !isIncome(newExpense)) {
+            newExpense.split = formDataToSplit(split, knownPeople);
+        }
+        let addedExpenses = [newExpense];
+
+        if (recurrence !== 'none') {
+            const rule = {
+                id: crypto.randomUUID(),
+                template: {
+                    type: newExpense.type,
+                    title: newExpense.title,
+                    amount: newExpense.amount,
+                    currency: newExpense.currency,
+                    originalAmount: newExpense.originalAmount,
+                    category: newExpense.category,
+                    notes: newExpense.notes,
+                    account: newExpense.account,
+                    ...(newExpense.tags && { tags: newExpense.tags }),
+                    ...(newExpense.split && { split: newExpense.split })
+                },
+                frequency: recurrence,
+                startDate: newExpense.date,
+                endDate: recurrenceEnd === 'date' ? recurrenceEndDate : null,
+                endCount: recurrenceEnd === 'count' ? Number(recurrenceCount) : null,
+                occurrenceCount: 1,
+                paused: false,
+                createdAt: Date.now()
+            };
+            newExpense.recurringId = rule.id;
+
+            // A start date in the past may already have further occurrences due
+            const { rules: [updatedRule], generated } = materializeRecurringExpenses([rule], [newExpense], getTodayString());
+            setRecurringRules(prev => [...prev, updatedRule]);
+            addedExpenses = [...generated, newExpense];
+        }
+
+        const historyId = recordHistory(`adding "${newExpense.title}"`);
+        setExpenses(prev => [...addedExpenses, ...prev]);
+        setFormData(createEmptyFormData(getDefaultCategoryId(categories), 'expense', displayCurrency, getDefaultAccountId(accounts)));
+        setCurrentScreen(SCREEN.DASHBOARD);
+        const entryLabel = isIncome(newExpense) ? 'Income' : 'Expense';
+        showToast(
+            addedExpenses.length > 1
+                ? `${entryLabel} added with ${addedExpenses.length - 1} past recurring occurrence(s)!`
+                : `${entryLabel} added successfully!`,
+            'success',
+            getUndoToastAction(historyId)
+        );
+        notifyBudgetThresholds(addedExpenses);
+    }, [formData, showToast, categories, exchangeRates, displayCurrency, budgets, monthlyCategoryTotals, monthlyExpenses, knownPeople, accounts, recordHistory]);
+
+    const handleEditExpense = useCallback((event) => {
+        event.preventDefault();
+        
+        if (!selectedExpense) return;
+        
+        const errors = validateForm(formData);
+        if (Object.keys(errors).length > 0) {
+            setValidationErrors(errors);
+            showToast('Please fix the errors in the form', 'error');
+            return;
+        }
+
+        const originalAmount = Number(formData.amount);
+        const previousCurrency = selectedExpense.currency || BASE_CURRENCY;
+        const previousOriginal = selectedExpense.originalAmount ?? selectedExpense.amount;
+        // Keep the rate the expense was recorded at unless its amount or currency changed
+        const amount = formData.currency === previousCurrency && originalAmount === previousOriginal
+            ? selectedExpense.amount
+            : convertToBase(originalAmount, formData.currency, exchangeRates);
+
+        const { split, tags, attachments, ...expenseFields } = formData;
+        const updatedExpense = {
+            ...selectedExpense,
+            ...expenseFields,
+            amount,
+            originalAmount,
+            updatedAt: Date.now()
+        };
+        if (tags.length > 0) {
+            updatedExpense.tags = tags;
+        } else {
+            delete updatedExpense.tags;
+        }
+        if (attachments.length > 0) {
+            updatedExpense.attachments = attachments;
+        } else {
+            delete updatedExpense.attachments;
+        }
+        if (split && !isIncome(updatedExpense)) {
+            updatedExpense.split = formDataToSplit(split, knownPeople);
+        } else {
+            delete updatedExpense.split;
+        }
+
+        const historyId = recordHistory(`editing "${selectedExpense.title}"`);
+        setExpenses(prev => prev.map(expense => 
+            expense.id === selectedExpense.id ? updatedExpense : expense
+        ));
+        setSelectedExpense(null);
+        setCurrentScreen(SCREEN.DASHBOARD);
+        showToast(`${isIncome(updatedExpense) ? 'Income' : 'Expense'} updated successfully!`, 'success', getUndoToastAction(historyId));
+    }, [selectedExpense, formData, exchangeRates, knownPeople, showToast, recordHistory]);
+
+    const handleDeleteExpense = useCallback((expenseId) => {
+        if (window.confirm('Move this expense to the trash?')) {
+            const historyId = recordHistory('deleting an expense');
+            setTrash(prev => [...moveToTrash(expenses.filter(expense => expense.id === expenseId)), ...prev]);
+            setExpenses(prev => prev.filter(expense => expense.id !== expenseId));
+            setSelectedExpenses(prev => prev.filter(id => id !== expenseId));
+            if (selectedExpense?.id === expenseId) {
+                setSelectedExpense(null);
+            }
+            showToast('Expense moved to trash', 'success', getUndoToastAction(historyId));
+        }
+    }, [expenses, selectedExpense, showToast, recordHistory]);
+
+    const handleBulkDelete = useCallback(() => {
+        if (selectedExpenses.length === 0) {
+            showToast('No expenses selected', 'warning');
+            return;
+        }
+
+        if (window.confirm(`Move ${selectedExpenses.length} expenses to the trash?`)) {
+            const historyId = recordHistory(`deleting ${selectedExpenses.length} expenses`);
+            setTrash(prev => [...moveToTrash(expenses.filter(expense => selectedExpenses.includes(expense.id))), ...prev]);
+            setExpenses(prev => prev.filter(expense => !selectedExpenses.includes(expense.id)));
+            setSelectedExpenses([]);
+            if (selectedExpense && selectedExpenses.includes(selectedExpense.id)) {
+                setSelectedExpense(null);
+            }
+            showToast(`${selectedExpenses.length} expenses moved to trash`, 'success', getUndoToastAction(historyId));
+        }
+    }, [expenses, selectedExpenses, selectedExpense, showToast, recordHistory]);
+
+    const handleClearAllData = useCallback(() => {
+        if (window.confirm('Move ALL expenses to the trash?')) {
+            const historyId = recordHistory('clearing all data');
+            setTrash(prev => [...moveToTrash(expenses), ...prev]);
+            setExpenses([]);
+            setSelectedExpenses([]);
+            setSelectedExpense(null);
+            showToast('All data moved to trash', 'warning', getUndoToastAction(historyId));
+        }
+    }, [expenses, showToast, recordHistory]);
+
+    // App lock
+    const handleUnlock = async (event) => {
+        event.preventDefault();
+        setLockScreen(prev => ({ ...prev, isUnlocking: true, error: '' }));
+
+        try {
+            dataKeyRef.current = await unlockWithPin(lockScreen.pin, lockSettings);
+            setLockScreen({ pin: '', error: '', isUnlocking: false });
+            setIsLocked(false);
+        } catch (error) {
+            setLockScreen({ pin: '', error: 'Incorrect PIN', isUnlocking: false });
+        }
+    };
+
+    const handlePinFormChange = (event) => {
+        const { name, value } = event.target;
+        setPinForm(prev => ({ ...prev, [name]: value, error: '' }));
+    };
+
+    const handleEnableLock = async (event) => {
+        event.preventDefault();
+        if (pinForm.pin.length < MIN_PIN_LENGTH) {
+            setPinForm(prev => ({ ...prev, error: `PIN must be at least ${MIN_PIN_LENGTH} characters` }));
+            return;
+        }
+        if (pinForm.pin !== pinForm.confirm) {
+            setPinForm(prev => ({ ...prev, error: 'PINs do not match' }));
+            return;
+        }
+        if (!persistedRef.current) {
+            setPinForm(prev => ({ ...prev, error: 'Saved data could not be opened, so it cannot be encrypted' }));
+            return;
+        }
+
+        let lock;
+        try {
+            lock = await createPinLock(pinForm.pin, lockSettings.autoLockMinutes);
+        } catch (error) {
+            // Web Crypto is missing outside secure contexts, e.g. when the app is opened over plain http
+            console.error('Error enabling app lock:', error);
+            setPinForm(prev => ({ ...prev, error: 'Could not set up encryption in this browser' }));
+            return;
+        }
+
+        const { key, settings } = lock;
+        dataKeyRef.current = key;
+        setLockSettings(settings);
+        rewriteStoredData();
+        setPinForm({ pin: '', confirm: '', current: '', error: '' });
+        showToast('App lock enabled. Your saved data is now encrypted.', 'success');
+    };
+
+    const handleDisableLock = async (event) => {
+        event.preventDefault();
+        try {
+            await unlockWithPin(pinForm.current, lockSettings);
+        } catch (error) {
+            setPinForm(prev => ({ ...prev, current: '', error: 'Incorrect PIN' }));
+            return;
+        }
+
+        dataKeyRef.current = null;
+        setLockSettings(prev => ({ ...DEFAULT_LOCK_SETTINGS, autoLockMinutes: prev.autoLockMinutes }));
+        rewriteStoredData();
+        setPinForm({ pin: '', confirm: '', current: '', error: '' });
+        showToast('App lock disabled', 'success');
+    };
+
+    // Data recovery: records that failed validation can be downloaded for manual repair or discarded
+    const handleDownloadRecoveryRecords = useCallback(() => {
+        const blob = new Blob([JSON.stringify(recoveryRecords, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `unrepaired_records_${getTodayString()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [recoveryRecords]);
+
+    const handleDiscardRecoveryRecords = useCallback((entryIds) => {
+        const message = entryIds.length === 1
+            ? 'Discard this record? It cannot be recovered afterwards.'
+            : `Discard ${entryIds.length} records? They cannot be recovered afterwards.`;
+        if (window.confirm(message)) {
+            setRecoveryRecords(prev => prev.filter(entry => !entryIds.includes(entry.id)));
+            showToast(`${entryIds.length} record(s) discarded`, 'success');
+        }
+    }, [showToast]);
+
+    // Settle up: record a repayment, prefilled from a debt or entered by hand
+    const handleStartSettle = (debt = null) => {
+        setSettleForm({
+            from: debt?.from || '',
+            to: debt?.to || SELF_PERSON,
+            amount: debt ? String(debt.amount) : '',
+            date: getTodayString(),
+            error: ''
+        });
+    };
+
+    const handleSettleFormChange = (event) => {
+        const { name, value } = event.target;
+        setSettleForm(prev => ({ ...prev, [name]: value, error: '' }));
+    };
+
+    const handleRecordSettlement = (event) => {
+        event.preventDefault();
+        const from = matchKnownPerson(settleForm.from, knownPeople);
+        const to = matchKnownPerson(settleForm.to, knownPeople);
+        const amount = Number(settleForm.amount);
+        let error = '';
+        if (!from || !to) {
+            error = 'Choose who paid and who was paid';
+        } else if (from.toLowerCase() === to.toLowerCase()) {
+            error = 'A person cannot pay themselves';
+        } else if (!(amount > 0)) {
+            error = 'Amount must be a positive number';
+        } else if (!settleForm.date) {
+            error = 'Date is required';
+        }
+        if (error) {
+            setSettleForm(prev => ({ ...prev, error }));
+            return;
+        }
+
+        setSettlements(prev => [{
+            id: crypto.randomUUID(),
+            from,
+            to,
+            amount: Math.round(amount * 100) / 100,
+            date: settleForm.date,
+            createdAt: Date.now()
+        }, ...prev]);
+        setSettleForm(null);
+        showToast(`Payment from ${from} to ${to} recorded`, 'success');
+    };
+
+    const handleDeleteSettlement = useCallback((settlementId) => {
+        if (window.confirm('Delete this payment? The debts it settled will be owed again.')) {
+            setSettlements(prev => prev.filter(settlement => settlement.id !== settlementId));
+            showToast('Payment deleted', 'success');
+        }
+    }, [showToast]);
+
+    // Accounts: create, edit and delete; opening balances are in the base currency
+    const handleAccountEditorChange = (event) => {
+        const { name, value } = event.target;
+        setAccountEditor(prev => ({ ...prev, [name]: value, error: '' }));
+    };
+
+    const handleSaveAccount = (event) => {
+        event.preventDefault();
+        const name = accountEditor.name.trim();
+        const openingBalance = Number(accountEditor.openingBalance || 0);
+        if (!name) {
+            setAccountEditor(prev => ({ ...prev, error: 'Name is required' }));
+            return;
+        }
+        if (accounts.some(a => a.id !== accountEditor.id && a.name.toLowerCase() === name.toLowerCase())) {
+            setAccountEditor(prev => ({ ...prev, error: 'An account with this name already exists' }));
+            return;
+        }
+        if (Number.isNaN(openingBalance)) {
+            setAccountEditor(prev => ({ ...prev, error: 'Opening balance must be a number' }));
+            return;
+        }
+
+        const { type } = accountEditor;
+        if (accountEditor.id) {
+            setAccounts(prev => prev.map(account =>
+                account.id === accountEditor.id ? { ...account, name, type, openingBalance } : account
+            ));
+            showToast('Account updated', 'success');
+        } else {
+            setAccounts(prev => [...prev, { id: crypto.randomUUID(), name, type, openingBalance }]);
+            showToast('Account added', 'success');
+        }
+        setAccountEditor(null);
+    };
+
+    const handleDeleteAccount = (accountId) => {
+        const account = accounts.find(a => a.id === accountId);
+        // Trashed transactions count too, so restoring one never brings back a deleted account id
+        const usedCount = [...expenses, ...trash].filter(e => e.account === accountId).length +
+            transfers.filter(t => t.from === accountId || t.to === accountId).length +
+            recurringRules.filter(r => r.template.account === accountId).length;
+        if (usedCount > 0) {
+            showToast(`${account.name} is used by ${usedCount} transaction(s) or schedule(s), including any in the trash, and cannot be deleted`, 'warning');
+            return;
+        }
+        if (window.confirm(`Delete the ${account.name} account?`)) {
+            setAccounts(prev => prev.filter(a => a.id !== accountId));
+            if (filterAccount === accountId) {
+                setFilterAccount('all');
+            }
+            if (selectedAccountId === accountId) {
+                setSelectedAccountId(null);
+            }
+            showToast(`${account.name} deleted`, 'success');
+        }
+    };
+
+    // Transfers move money between two of the user's accounts without counting as income or spending
+    const handleStartTransfer = () => {
+        setTransferForm({
+            from: accounts[0]?.id || '',
+            to: accounts[1]?.id || '',
+            amount: '',
+            date: getTodayString(),
+            notes: '',
+            error: ''
+        });
+    };
+
+    const handleTransferFormChange = (event) => {
+        const { name, value } = event.target;
+        setTransferForm(prev => ({ ...prev, [name]: value, error: '' }));
+    };
+
+    const handleRecordTransfer = (event) => {
+        event.preventDefault();
+        const amount = Number(transferForm.amount);
+        let error = '';
+        if (!transferForm.from || !transferForm.to) {
+            error = 'Choose both accounts';
+        } else if (transferForm.from === transferForm.to) {
+            error = 'Choose two different accounts';
+        } else if (!(amount > 0)) {
+            error = 'Amount must be a positive number';
+        } else if (!transferForm.date) {
+            error = 'Date is required';
+        }
+        if (error) {
+            setTransferForm(prev => ({ ...prev, error }));
+            return;
+        }
+
+        setTransfers(prev => [{
+            id: crypto.randomUUID(),
+            from: transferForm.from,
+            to: transferForm.to,
+            amount: Math.round(amount * 100) / 100,
+            date: transferForm.date,
+            notes: transferForm.notes.trim(),
+            createdAt: Date.now()
+        }, ...prev]);
+        setTransferForm(null);
+        showToast('Transfer recorded', 'success');
+    };
+
+    const handleDeleteTransfer = useCallback((transferId) => {
+        if (window.confirm('Delete this transfer?')) {
+            setTransfers(prev => prev.filter(transfer => transfer.id !== transferId));
+            showToast('Transfer deleted', 'success');
+        }
+    }, [showToast]);
+
+    // Trash: restore items to the active list or delete them for good
+    const handleRestoreFromTrash = useCallback((itemIds) => {
+        const restored = trash.filter(item => itemIds.includes(item.id));
+        const historyId = recordHistory(`restoring ${restored.length} item(s)`);
+        // An item whose id is back in the list (e.g. re-imported since it was deleted) gets a new id
+        // rather than replacing or duplicating that record's id
+        setExpenses(prev => {
+            const existingIds = new Set(prev.map(expense => expense.id));
+            return [
+                ...restored.map(restoreFromTrash).map(expense =>
+                    existingIds.has(expense.id) ? { ...expense, id: crypto.randomUUID() } : expense
+                ),
+                ...prev
+            ];
+        });
+        setTrash(prev => prev.filter(item => !itemIds.includes(item.id)));
+        showToast(`${restored.length} item(s) restored`, 'success', getUndoToastAction(historyId));
+    }, [trash, showToast, recordHistory]);
+
+    const handlePurgeFromTrash = useCallback((itemIds) => {
+        const message = itemIds.length === 1
+            ? 'Permanently delete this item?'
+            : `Permanently delete ${itemIds.length} items?`;
+        if (window.confirm(message)) {
+            // Not undoable, and purged items are also dropped from earlier undo snapshots so
+            // undoing an older change cannot bring them back (ids live again after a re-import are kept)
+            const liveIds = new Set(expenses.map(expense => expense.id));
+            const purge = (entry) => ({
+                ...entry,
+                expenses: entry.expenses.filter(item => liveIds.has(item.id) || !itemIds.includes(item.id)),
+                trash: entry.trash.filter(item => !itemIds.includes(item.id))
+            });
+            setTrash(prev => prev.filter(item => !itemIds.includes(item.id)));
+            setHistory(prev => ({ past: prev.past.map(purge), future: prev.future.map(purge) }));
+            showToast(`${itemIds.length} item(s) permanently deleted`, 'success');
+        }
+    }, [expenses, showToast]);
+
+    const handleCategoryEditorChange = (event) => {
+        const { name, value } = event.target;
+        setCategoryEditor(prev => ({ ...prev, [name]: value, error: '' }));
+    };
+
+    const handleSaveCategory = () => {
+        const name = categoryEditor.name.trim();
+        if (!name) {
+            setCategoryEditor(prev => ({ ...prev, error: 'Name is required' }));
+            return;
+        }
+        if (categories.some(c => c.id !== categoryEditor.id && c.name.toLowerCase() === name.toLowerCase())) {
+            setCategoryEditor(prev => ({ ...prev, error: 'A category with this name already exists' }));
+            return;
+        }
+
+        const { icon, color } = categoryEditor;
+        if (categoryEditor.id) {
+            setCategories(prev => prev.map(category =>
+                category.id === categoryEditor.id ? { ...category, name, icon, color } : category
+            ));
+            showToast('Category updated', 'success');
+        } else {
+            setCategories(prev => [...prev, { id: crypto.randomUUID(), name, icon, color }]);
+            showToast('Category added', 'success');
+        }
+        setCategoryEditor(null);
+    };
+
+    const handleToggleArchiveCategory = (categoryId) => {
+        const category = findCategory(categories, categoryId);
+        if (!category.archived && activeCategories.length <= 1) {
+            showToast('At least one category must stay active', 'warning');
+            return;
+        }
+        setCategories(prev => prev.map(c => c.id === categoryId ? { ...c, archived: !c.archived } : c));
+        showToast(`${category.name} ${category.archived ? 'restored' : 'archived'}`, 'success');
+    };
+
+    const startCategoryMerge = (categoryId) => {
+        const target = activeCategories.find(c => c.id !== categoryId);
+        if (!target) {
+            showToast('At least one other active category is needed to move expenses into', 'warning');
+            return;
+        }
+        setCategoryEditor(null);
+        setCategoryMerge({ id: categoryId, targetId: target.id });
+    };
+
+    // Delete a category, moving its expenses and recurring rules into the chosen target
+    const handleMergeCategory = () => {
+        const { id, targetId } = categoryMerge;
+        const source = findCategory(categories, id);
+        const target = findCategory(categories, targetId);
+        const movedCount = expenseEntries.filter(e => e.category === id).length;
+
+        setExpenses(prev => prev.map(expense =>
+            !isIncome(expense) && expense.category === id
+                ? { ...expense, category: targetId, updatedAt: Date.now() }
+                : expense
+        ));
+        setRecurringRules(prev => prev.map(rule =>
+            !isIncome(rule.template) && rule.template.category === id
+                ? { ...rule, template: { ...rule.template, category: targetId } }
+                : rule
+        ));
+        setBudgets(prev => {
+            const { [id]: removed, ...rest } = prev.categories;
+            return { ...prev, categories: rest };
+        });
+        setCategories(prev => prev.filter(c => c.id !== id));
+        if (filterCategory === id) {
+            setFilterCategory('all');
+        }
+        setCategoryMerge(null);
+        showToast(`${source.name} deleted; ${movedCount} expense(s) moved to ${target.name}`, 'success');
+    };
+
+    const handleToggleRecurringRule = useCallback((ruleId) => {
+        setRecurringRules(prev => prev.map(rule => {
+            if (rule.id !== ruleId) return rule;
+            // Resuming does not back-fill occurrences that fell due while paused
+            return rule.paused
+                ? { ...skipMissedOccurrences(rule, getTodayString()), paused: false }
+                : { ...rule, paused: true };
+        }));
+    }, []);
+
+    const handleDeleteRecurringRule = useCallback((ruleId) => {
+        if (window.confirm('Stop this recurring expense? Expenses already created will be kept.')) {
+            setRecurringRules(prev => prev.filter(rule => rule.id !== ruleId));
+            showToast('Recurring expense stopped', 'success');
+        }
+    }, [showToast]);
+
+    const handleSelectExpense = useCallback((expenseId) => {
+        setSelectedExpenses(prev => 
+            prev.includes(expenseId) 
+                ? prev.filter(id => id !== expenseId)
+                : [...prev, expenseId]
+        );
+    }, []);
+
+    const handleSelectAll = useCallback(() => {
+        if (selectedExpenses.length === filteredExpenses.length) {
+            setSelectedExpenses([]);
+        } else {
+            setSelectedExpenses(filteredExpenses.map(e => e.id));
+        }
+    }, [selectedExpenses.length, filteredExpenses]);
+
+    const openEditModal = useCallback((expense) => {
+        setSelectedExpense(expense);
+        setFormData(expenseToFormData(expense));
+        setCurrentScreen(SCREEN.EDIT);
+    }, []);
+
+    const exportData = useCallback(async () => {
+        let dataToExport = selectedExpenses.length > 0 
+            ? expenses.filter(e => selectedExpenses.includes(e.id))
+            : expenses;
+
+        let blob;
+        let filename;
+        let message = `${dataToExport.length} expenses exported successfully!`;
+
+        switch(exportFormat) {
+            case 'csv':
+                // Convert to CSV using the chosen columns, order and delimiter
+                const columns = csvExportOptions.columns
+                    .filter(column => column.enabled)
+                    .map(column => CSV_EXPORT_COLUMNS.find(c => c.id === column.id));
+                const csvData = dataToExport.map(e =>
+                    columns.map(column => column.getValue(e, getTransactionCategory(e)))
+                );
+                const csv = toCSV([columns.map(column => column.name), ...csvData], csvExportOptions.delimiter);
+                blob = new Blob(
+                    [csvExportOptions.includeBom ? '\uFEFF' + csv : csv],
+                    { type: 'text/csv;charset=utf-8' }
+                );
+                filename = `expenses_${new Date().toISOString().split('T')[0]}.csv`;
+                break;
+            
+            case 'statement':
+                const statement = buildStatement({
+                    transactions: expenses,
+                    categories,
+                    month: statementOptions.month,
+                    displayCurrency,
+                    exchangeRates
+                });
+                if (statement.items.length === 0) {
+                    showToast(`No transactions in ${statement.label}`, 'warning');
+                    return;
+                }
+
+                const chartOptions = { expenses: statement.expenses, categories, displayCurrency, exchangeRates, dark: false };
+                const charts = statement.expenses.length > 0 ? {
+                    category: renderChartSnapshot(getCategoryChartConfig(chartOptions), 400, 300),
+                    trend: renderChartSnapshot(getTrendChartConfig({
+                        ...chartOptions,
+                        startDate: statement.from,
+                        endDate: statement.to
+                    }), 500, 300)
+                } : null;
+
+                if (statementOptions.output === 'pdf') {
+                    if (!window.jspdf) {
+                        showToast('PDF library failed to load', 'error');
+                        return;
+                    }
+                    blob = buildStatementPDF(statement, charts).output('blob');
+                    filename = `statement_${statementOptions.month}.pdf`;
+                } else {
+                    blob = new Blob([buildStatementHTML(statement, charts)], { type: 'text/html' });
+                    filename = `statement_${statementOptions.month}.html`;
+                }
+                message = `Statement for ${statement.label} exported successfully!`;
+                break;
+
+            case 'encrypted':
+                try {
+                    const envelope = await encryptBackup(buildBackup(dataToExport, { settlements, accounts, transfers }), exportPassphrase.passphrase);
+                    blob = new Blob([JSON.stringify(envelope)], { type: 'application/json' });
+                } catch (error) {
+                    console.error('Error encrypting backup:', error);
+                    showToast('Could not encrypt the backup', 'error');
+                    return;
+                }
+                filename = `expenses_${new Date().toISOString().split('T')[0]}.encrypted.json`;
+                message = `${dataToExport.length} expenses exported to an encrypted backup`;
+                break;
+
+            case 'json':
+            default:
+                blob = new Blob([JSON.stringify(buildBackup(dataToExport, { settlements, accounts, transfers }), null, 2)], { type: 'application/json' });
+                filename = `expenses_${new Date().toISOString().split('T')[0]}.json`;
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        setIsExportModalOpen(false);
+        setExportPassphrase({ passphrase: '', confirm: '' });
+        showToast(message, 'success');
+    }, [
+        expenses, selectedExpenses, exportFormat, csvExportOptions, statementOptions, exportPassphrase,
+        categories, displayCurrency, exchangeRates, settlements, accounts, transfers, getTransactionCategory, showToast
+    ]);
+
+    // CSV export column selection and ordering
+    const handleToggleExportColumn = (columnId) => {
+        setCsvExportOptions(prev => ({
+            ...prev,
+            columns: prev.columns.map(column =>
+                column.id === columnId ? { ...column, enabled: !column.enabled } : column
+            )
+        }));
+    };
+
+    const handleMoveExportColumn = (index, offset) => {
+        setCsvExportOptions(prev => {
+            const columns = [...prev.columns];
+            const target = index + offset;
+            if (target < 0 || target >= columns.length) return prev;
+            [columns[index], columns[target]] = [columns[target], columns[index]];
+            return { ...prev, columns };
+        });
+    };
+
+    // Open the CSV import dialog with settings detected from the file
+    const startCSVImport = (text, fileName) => {
+        const delimiter = detectCSVDelimiter(text);
+        const rows = parseCSV(text, delimiter);
+        if (rows.length === 0) {
+            showToast('The CSV file is empty', 'error');
+            return;
+        }
+
+        setCsvImport({
+            text,
+            fileName,
+            delimiter,
+            hasHeader: true,
+            defaultCategory: getDefaultCategoryId(categories),
+            result: null,
+            ...detectCSVImportSettings(rows, true)
+        });
+    };
+
+    const updateCSVImport = (changes) => {
+        setCsvImport(prev => ({ ...prev, ...changes }));
+    };
+
+    // Changing how rows are split invalidates the detected mapping and formats
+    const handleCSVLayoutChange = (changes) => {
+        setCsvImport(prev => {
+            const next = { ...prev, ...changes };
+            return { ...next, ...detectCSVImportSettings(parseCSV(next.text, next.delimiter), next.hasHeader) };
+        });
+    };
+
+    const handleCSVMappingChange = (field, column) => {
+        setCsvImport(prev => ({ ...prev, mapping: { ...prev.mapping, [field]: column } }));
+    };
+
+    const handleConfirmCSVImport = () => {
+        const validRows = csvImportPreview.filter(row => row.errors.length === 0);
+        const skipped = csvImportPreview.filter(row => row.errors.length > 0);
+        const importedExpenses = validRows.map(({ data }) => ({
+            id: crypto.randomUUID(),
+            schemaVersion: RECORD_SCHEMA_VERSION,
+            ...data,
+            amount: Number(data.amount),
+            createdAt: Date.now()
+        }));
+
+        const { fresh, conflicts } = detectImportConflicts(importedExpenses, expenses);
+        if (conflicts.length > 0) {
+            setCsvImport(null);
+            setImportReview({ source: csvImport.fileName, fresh, conflicts, mergeMode: false, invalidCount: skipped.length });
+            return;
+        }
+
+        const historyId = recordHistory(`importing ${csvImport.fileName}`);
+        setExpenses(prev => [...importedExpenses, ...prev]);
+        updateCSVImport({ result: { imported: importedExpenses.length, skipped } });
+        showToast(
+            `${importedExpenses.length} transaction(s) imported, ${skipped.length} skipped`,
+            skipped.length > 0 ? 'warning' : 'success',
+            getUndoToastAction(historyId)
+        );
+    };
+
+    // Add the backup's non-transaction records that are not already here
+    const restoreBackupRecords = useCallback((records) => {
+        setSettlements(prev => [...getNewBackupRecords(prev, records.settlements), ...prev]);
+        setAccounts(prev => [...prev, ...getNewBackupRecords(prev, records.accounts)]);
+        setTransfers(prev => [...getNewBackupRecords(prev, records.transfers), ...prev]);
+    }, []);
+
+    // Import transactions from a parsed JSON backup
+    const importBackup = useCallback((data, fileName) => {
+        const backup = readBackup(data);
+        if (backup && backup.version > RECORD_SCHEMA_VERSION) {
+            showToast('This backup was made by a newer version of the app', 'error');
+        } else if (backup) {
+            // Migrate and repair each record; the rest are kept for review on the recovery screen
+            const { valid: validExpenses, invalid } = validateTransactions(backup.transactions, backup.version);
+            const skippedCount = invalid.length;
+            if (invalid.length > 0) {
+                setRecoveryRecords(prev => [...toRecoveryEntries(invalid, fileName), ...prev]);
+            }
+
+            const records = { settlements: backup.settlements, accounts: backup.accounts, transfers: backup.transfers };
+            const { fresh, conflicts } = detectImportConflicts(validExpenses, expenses);
+            if (conflicts.length > 0) {
+                setImportReview({ source: fileName, fresh, conflicts, mergeMode: false, invalidCount: skippedCount, records });
+                return;
+            }
+
+            const historyId = recordHistory(`importing ${fileName}`);
+            setExpenses(prev => [...validExpenses, ...prev]);
+            restoreBackupRecords(records);
+            showToast(
+                skippedCount > 0
+                    ? `${validExpenses.length} expenses imported, ${skippedCount} could not be repaired (see Data Recovery)`
+                    : `${validExpenses.length} expenses imported successfully!`,
+                skippedCount > 0 ? 'warning' : 'success',
+                getUndoToastAction(historyId)
+            );
+        } else {
+            showToast('Invalid file format', 'error');
+        }
+    }, [expenses, recordHistory, restoreBackupRecords, showToast]);
+
+    const importData = useCallback((event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            const isJSON = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text);
+            if (!isJSON) {
+                startCSVImport(text, file.name);
+                return;
+            }
+
+            try {
+                const data = JSON.parse(text);
+                if (isEncryptedBackup(data)) {
+                    setEncryptedImport({ fileName: file.name, envelope: data, passphrase: '', error: '', isDecrypting: false });
+                    return;
+                }
+                importBackup(data, file.name);
+            } catch (error) {
+                showToast('Error importing file', 'error');
+            }
+        };
+        reader.readAsText(file);
+        
+        // Reset file input
+        event.target.value = '';
+    }, [showToast, categories, importBackup]);
+
+    // Unlock an encrypted backup with the passphrase, then import it like a plain one
+    const handleDecryptImport = async (event) => {
+        event.preventDefault();
+        const { envelope, passphrase, fileName } = encryptedImport;
+        setEncryptedImport(prev => ({ ...prev, isDecrypting: true, error: '' }));
+
+        try {
+            const data = await decryptBackup(envelope, passphrase);
+            setEncryptedImport(null);
+            importBackup(data, fileName);
+        } catch (error) {
+            setEncryptedImport(prev => prev && { ...prev, isDecrypting: false, error: error.message });
+        }
+    };
+
+    // Import review: choose how each duplicate is handled
+    const handleImportResolutionChange = (index, resolution) => {
+        setImportReview(prev => ({
+            ...prev,
+            conflicts: prev.conflicts.map((conflict, i) => i === index ? { ...conflict, resolution } : conflict)
+        }));
+    };
+
+    const handleResolveAllConflicts = (resolution) => {
+        setImportReview(prev => ({
+            ...prev,
+            conflicts: prev.conflicts.map(conflict => ({ ...conflict, resolution }))
+        }));
+    };
+
+    const handleConfirmImportReview = () => {
+        const { fresh, mergeMode, invalidCount, records } = importReview;
+        const conflicts = mergeMode
+            ? importReview.conflicts.map(conflict => ({ ...conflict, resolution: getMergeResolution(conflict) }))
+            : importReview.conflicts;
+        const result = applyImport(expenses, fresh, conflicts);
+        const skippedCount = conflicts.filter(c => c.resolution === 'skip').length + invalidCount;
+
+        // Apply to the latest list, not the one from when the review opened, so recurring
+        // catch-up, synced changes or an undo made meanwhile are not lost
+        const historyId = recordHistory(`importing ${importReview.source}`);
+        setExpenses(prev => applyImport(prev, fresh, conflicts).expenses);
+        if (records) {
+            restoreBackupRecords(records);
+        }
+        setImportReview(null);
+        showToast(
+            `${result.added} added, ${result.overwritten} updated, ${skippedCount} skipped`,
+            'success',
+            getUndoToastAction(historyId)
+        );
+    };
+
+    // Navigation
+    const navigateTo = useCallback((screen, expense = null) => {
+        setMobileMenuOpen(false);
+        setActiveDropdown(null);
+        
+        if (expense) {
+            setSelectedExpense(expense);
+            setFormData(expenseToFormData(expense));
+        } else {
+            setSelectedExpense(null);
+            if (screen === SCREEN.ADD) {
+                setFormData(createEmptyFormData(getDefaultCategoryId(categories), 'expense', displayCurrency, getDefaultAccountId(accounts)));
+            }
+        }
+        
+        setCurrentScreen(screen);
+    }, [categories, accounts, displayCurrency]);
+
+    // Render functions for each screen
+    const renderDashboard = () => (
+        <div className="screen">
+            <div className="dashboard-header">
+                <h1>Dashboard</h1>
+                <p>Welcome back! Here's your financial overview in {CURRENCY_NAMES[displayCurrency] || displayCurrency}.</p>
+            </div>
+
+            <div className="stats-grid">
+                <div className="stat-card">
+                    <div className="stat-icon">
+                        <i className="fas fa-wallet"></i>
+                    </div>
+                    <div className="stat-content">
                         <h3>Total Expenses</h3>
-                        <p>{formatPKR(totalExpenses)}</p>
+                        <p>{formatAmount(totalExpenses)}</p>
                         <div className="stat-trend">
                             <i className="fas fa-chart-line"></i>
                             <span>All time total</span>
@@ -722,149 +4861,1447 @@ function App() {
                     </div>
                 </div>
 
-                <div className="stat-card">
-                    <div className="stat-icon">
-                        <i className="fas fa-calendar-day"></i>
-                    </div>
-                    <div className="stat-content">
-                        <h3>Today's Expenses</h3>
-                        <p>{formatPKR(todayExpenses)}</p>
-                        <div className="stat-trend">
-                            <i className="fas fa-clock"></i>
-                            <span>{new Date().toLocaleDateString('en-PK')}</span>
+                <div className="stat-card">
+                    <div className="stat-icon">
+                        <i className="fas fa-calendar-day"></i>
+                    </div>
+                    <div className="stat-content">
+                        <h3>Today's Expenses</h3>
+                        <p>{formatAmount(todayExpenses)}</p>
+                        <div className="stat-trend">
+                            <i className="fas fa-clock"></i>
+                            <span>{new Date().toLocaleDateString('en-PK')}</span>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon">
+                        <i className="fas fa-calendar-alt"></i>
+                    </div>
+                    <div className="stat-content">
+                        <h3>Monthly Expenses</h3>
+                        <p>{formatAmount(monthlyExpenses)}</p>
+                        <div className="stat-trend">
+                            <i className="fas fa-calendar"></i>
+                            <span>{new Date().toLocaleDateString('en-PK', { month: 'long', year: 'numeric' })}</span>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon income">
+                        <i className="fas fa-hand-holding-usd"></i>
+                    </div>
+                    <div className="stat-content">
+                        <h3>Monthly Income</h3>
+                        <p>{formatAmount(monthlyIncome)}</p>
+                        <div className="stat-trend">
+                            <i className="fas fa-calendar"></i>
+                            <span>{new Date().toLocaleDateString('en-PK', { month: 'long', year: 'numeric' })}</span>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon">
+                        <i className="fas fa-piggy-bank"></i>
+                    </div>
+                    <div className="stat-content">
+                        <h3>Net Savings</h3>
+                        <p className={monthlyIncome - monthlyExpenses < 0 ? 'trend-down' : ''}>
+                            {formatAmount(monthlyIncome - monthlyExpenses)}
+                        </p>
+                        <div className={`stat-trend ${monthlySavingsRate !== null && monthlySavingsRate < 0 ? 'trend-down' : 'trend-up'}`}>
+                            <i className="fas fa-percentage"></i>
+                            <span>
+                                {monthlySavingsRate !== null
+                                    ? `${monthlySavingsRate.toFixed(1)}% savings rate this month`
+                                    : 'No income recorded this month'
+                                }
+                            </span>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="stat-icon">
+                        <i className="fas fa-chart-pie"></i>
+                    </div>
+                    <div className="stat-content">
+                        <h3>Average Expense</h3>
+                        <p>{formatAmount(averageExpense)}</p>
+                        <div className="stat-trend">
+                            <i className="fas fa-calculator"></i>
+                            <span>Per transaction</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <div className="charts-grid">
+                <div className="chart-card">
+                    <h3>Spending by Category</h3>
+                    <div className="chart-container">
+                        {expenseEntries.length > 0 ? (
+                            <CategoryChart
+                                expenses={expenseEntries}
+                                categories={categories}
+                                displayCurrency={displayCurrency}
+                                exchangeRates={exchangeRates}
+                            />
+                        ) : (
+                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                                <p className="text-muted">No data to display</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="chart-card">
+                    <h3>7-Day Trend</h3>
+                    <div className="chart-container">
+                        {expenseEntries.length > 0 ? (
+                            <TrendChart
+                                expenses={expenseEntries}
+                                categories={categories}
+                                displayCurrency={displayCurrency}
+                                exchangeRates={exchangeRates}
+                            />
+                        ) : (
+                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                                <p className="text-muted">No data to display</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {budgetProgress.length > 0 && (
+                <div className="budget-overview">
+                    <div className="section-header">
+                        <h2>Monthly Budgets</h2>
+                        <button className="view-all-btn" onClick={() => navigateTo(SCREEN.SETTINGS)}>
+                            Manage <i className="fas fa-arrow-right"></i>
+                        </button>
+                    </div>
+                    <div className="budget-list">
+                        {budgetProgress.map(({ id, name, icon, color, limit, spent }) => {
+                            const percentage = (spent / limit) * 100;
+                            return (
+                                <div key={id} className="budget-item">
+                                    <div className="budget-item-header">
+                                        <div className="category-info">
+                                            <i className={`fas ${icon}`} style={{ color }}></i>
+                                            <span>{name}</span>
+                                        </div>
+                                        <span className="budget-amounts">
+                                            {formatAmount(spent)} / {formatAmount(limit)}
+                                        </span>
+                                    </div>
+                                    <div className="budget-progress">
+                                        <div
+                                            className={`budget-progress-bar ${getBudgetStatus(spent, limit)}`}
+                                            style={{ width: `${Math.min(percentage, 100)}%` }}
+                                        ></div>
+                                    </div>
+                                    <span className="budget-remaining">
+                                        {spent > limit
+                                            ? `${formatAmount(spent - limit)} over budget`
+                                            : `${formatAmount(limit - spent)} remaining (${percentage.toFixed(0)}% used)`
+                                        }
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="recent-expenses">
+                <div className="section-header">
+                    <h2>Recent Transactions</h2>
+                    <button className="view-all-btn" onClick={() => navigateTo(SCREEN.REPORTS)}>
+                        View All <i className="fas fa-arrow-right"></i>
+                    </button>
+                </div>
+
+                {expenses.length === 0 ? (
+                    <div className="empty-state">
+                        <i className="fas fa-receipt" style={{ fontSize: '3rem', color: 'var(--gray-400)', marginBottom: '1rem' }}></i>
+                        <p>No expenses yet. Click "Add Expense" to get started.</p>
+                        <button className="btn-primary" onClick={() => navigateTo(SCREEN.ADD)}>
+                            <i className="fas fa-plus"></i> Add Your First Expense
+                        </button>
+                    </div>
+                ) : (
+                    <div className="expenses-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>
+                                        <input 
+                                            type="checkbox"
+                                            checked={selectedExpenses.length === recentExpenses.length && recentExpenses.length > 0}
+                                            onChange={handleSelectAll}
+                                        />
+                                    </th>
+                                    <th>Date</th>
+                                    <th>Title</th>
+                                    <th>Category</th>
+                                    <th>Amount ({displayCurrency})</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {recentExpenses.map(expense => (
+                                    <tr key={expense.id} className="expense-row">
+                                        <td>
+                                            <input 
+                                                type="checkbox"
+                                                checked={selectedExpenses.includes(expense.id)}
+                                                onChange={() => handleSelectExpense(expense.id)}
+                                            />
+                                        </td>
+                                        <td>{new Date(expense.date).toLocaleDateString('en-PK')}</td>
+                                        <td>{expense.title}</td>
+                                        <td>
+                                            <CategoryBadge category={getTransactionCategory(expense)} />
+                                        </td>
+                                        <td className={isIncome(expense) ? 'amount-income' : ''}>
+                                            {isIncome(expense) ? '+' : ''}{formatAmount(expense.amount)}
+                                            {expense.currency && expense.currency !== displayCurrency && (
+                                                <span className="original-amount">
+                                                    {formatCurrency(expense.originalAmount, expense.currency)}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div className="action-buttons">
+                                                <button 
+                                                    className="btn-icon"
+                                                    onClick={() => openEditModal(expense)}
+                                                    title="Edit"
+                                                >
+                                                    <i className="fas fa-edit"></i>
+                                                </button>
+                                                <button 
+                                                    className="btn-icon danger"
+                                                    onClick={() => handleDeleteExpense(expense.id)}
+                                                    title="Delete"
+                                                >
+                                                    <i className="fas fa-trash"></i>
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {selectedExpenses.length > 0 && (
+                    <div className="bulk-actions">
+                        <span>{selectedExpenses.length} item(s) selected</span>
+                        <button className="btn-danger" onClick={handleBulkDelete}>
+                            <i className="fas fa-trash"></i> Delete Selected
+                        </button>
+                        <button className="btn-primary" onClick={() => setIsExportModalOpen(true)}>
+                            <i className="fas fa-download"></i> Export Selected
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+
+    // Split section of the expense form, with each person's share once the split adds up
+    const renderSplitSection = () => {
+        const { split } = formData;
+        const amount = Number(formData.amount);
+        const previewShares = split && amount > 0 && !validateSplit(split, amount)
+            ? allocateAmount(amount, split.shares.map(share => split.method === 'equal' ? 1 : Number(share.value)))
+            : null;
+
+        return (
+            <div className="form-group split-section">
+                <label className="split-toggle">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(split)}
+                        onChange={(e) => handleToggleSplit(e.target.checked)}
+                    />
+                    Split this expense
+                </label>
+
+                {split && (
+                    <>
+                        <div className="split-options">
+                            <select
+                                name="paidBy"
+                                className="form-control"
+                                value={split.paidBy}
+                                onChange={handleSplitFieldChange}
+                                aria-label="Paid by"
+                            >
+                                {getSplitPeople(split).map(person => (
+                                    <option key={person} value={person}>Paid by {person}</option>
+                                ))}
+                            </select>
+                            <select
+                                name="method"
+                                className="form-control"
+                                value={split.method}
+                                onChange={handleSplitFieldChange}
+                                aria-label="Split method"
+                            >
+                                {SPLIT_METHODS.map(method => (
+                                    <option key={method.id} value={method.id}>Split {method.name.toLowerCase()}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {split.shares.map((share, index) => (
+                            <div key={index} className="split-row">
+                                <input
+                                    type="text"
+                                    className="form-control"
+                                    list="split-people"
+                                    value={share.person}
+                                    onChange={(e) => handleSplitShareChange(index, 'person', e.target.value)}
+                                    placeholder="Name"
+                                    aria-label="Person"
+                                />
+                                {split.method !== 'equal' && (
+                                    <input
+                                        type="number"
+                                        className="form-control split-value"
+                                        value={share.value}
+                                        onChange={(e) => handleSplitShareChange(index, 'value', e.target.value)}
+                                        placeholder={split.method === 'percentage' ? '%' : formData.currency}
+                                        min="0"
+                                        step="0.01"
+                                        aria-label={split.method === 'percentage' ? 'Percentage' : 'Amount'}
+                                    />
+                                )}
+                                <span className="split-share">
+                                    {previewShares ? formatCurrency(previewShares[index], formData.currency) : ''}
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn-icon danger"
+                                    onClick={() => handleRemoveSplitPerson(index)}
+                                    disabled={split.shares.length <= 2}
+                                    title="Remove"
+                                >
+                                    <i className="fas fa-times"></i>
+                                </button>
+                            </div>
+                        ))}
+                        <datalist id="split-people">
+                            {[SELF_PERSON, ...knownPeople].map(name => <option key={name} value={name} />)}
+                        </datalist>
+
+                        <button type="button" className="btn-secondary" onClick={handleAddSplitPerson}>
+                            <i className="fas fa-user-plus"></i> Add Person
+                        </button>
+                    </>
+                )}
+
+                {validationErrors.split && (
+                    <div className="error-message">
+                        <i className="fas fa-exclamation-circle"></i>
+                        {validationErrors.split}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const renderAddEditForm = () => (
+        <div className="screen">
+            <h1>
+                {currentScreen === SCREEN.ADD ? 'Add New' : 'Edit'}
+                {' '}{isIncome(formData) ? 'Income' : 'Expense'}
+            </h1>
+            
+            <div className="form-container">
+                <form className="form-card" onSubmit={currentScreen === SCREEN.ADD ? handleAddExpense : handleEditExpense}>
+                    {currentScreen === SCREEN.ADD && (
+                        <div className="type-toggle" role="group" aria-label="Transaction type">
+                            <button
+                                type="button"
+                                className={`type-toggle-option ${!isIncome(formData) ? 'active' : ''}`}
+                                onClick={() => handleTypeChange('expense')}
+                            >
+                                <i className="fas fa-arrow-up"></i> Expense
+                            </button>
+                            <button
+                                type="button"
+                                className={`type-toggle-option income ${isIncome(formData) ? 'active' : ''}`}
+                                onClick={() => handleTypeChange('income')}
+                            >
+                                <i className="fas fa-arrow-down"></i> Income
+                            </button>
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label htmlFor="title">
+                            Title <span className="required">*</span>
+                        </label>
+                        <input
+                            ref={titleInputRef}
+                            type="text"
+                            id="title"
+                            name="title"
+                            className="form-control"
+                            value={formData.title}
+                            onChange={handleInputChange}
+                            placeholder={isIncome(formData) ? 'e.g., Monthly Salary, Client Payment' : 'e.g., Groceries, Utility Bill, etc.'}
+                        />
+                        {validationErrors.title && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {validationErrors.title}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="amount">
+                            Amount ({formData.currency}) <span className="required">*</span>
+                        </label>
+                        <div className="amount-input-group">
+                            <input
+                                type="number"
+                                id="amount"
+                                name="amount"
+                                className="form-control"
+                                value={formData.amount}
+                                onChange={handleInputChange}
+                                placeholder="e.g., 1500"
+                                min={formData.currency === BASE_CURRENCY ? '1' : '0.01'}
+                                step={formData.currency === BASE_CURRENCY ? '1' : '0.01'}
+                            />
+                            <select
+                                name="currency"
+                                className="form-control"
+                                value={formData.currency}
+                                onChange={handleInputChange}
+                                aria-label="Currency"
+                            >
+                                {Object.keys(exchangeRates).map(code => (
+                                    <option key={code} value={code}>{code}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {formData.currency !== BASE_CURRENCY && Number(formData.amount) > 0 && (
+                            <p className="amount-conversion">
+                                ≈ {formatCurrency(convertToBase(Number(formData.amount), formData.currency, exchangeRates))}
+                                {' '}at 1 {formData.currency} = {formatCurrency(exchangeRates[formData.currency] || 0)}
+                            </p>
+                        )}
+                        {validationErrors.amount && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {validationErrors.amount}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="category">
+                            {isIncome(formData) ? 'Source' : 'Category'} <span className="required">*</span>
+                        </label>
+                        <select
+                            id="category"
+                            name="category"
+                            className="form-control"
+                            value={formData.category}
+                            onChange={handleInputChange}
+                        >
+                            {(isIncome(formData) ? INCOME_SOURCES : categories)
+                                .filter(category => !category.archived || category.id === formData.category)
+                                .map(category => (
+                                    <option key={category.id} value={category.id}>
+                                        {category.name}
+                                    </option>
+                                ))}
+                        </select>
+                        {validationErrors.category && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {validationErrors.category}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="account">{isIncome(formData) ? 'Received In' : 'Paid With'}</label>
+                        <select
+                            id="account"
+                            name="account"
+                            className="form-control"
+                            value={formData.account}
+                            onChange={handleInputChange}
+                        >
+                            <option value="">Not specified</option>
+                            {accounts.map(account => (
+                                <option key={account.id} value={account.id}>
+                                    {account.name} ({getAccountType(account.type).name})
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="date">
+                            Date <span className="required">*</span>
+                        </label>
+                        <input
+                            type="date"
+                            id="date"
+                            name="date"
+                            className="form-control"
+                            value={formData.date}
+                            onChange={handleInputChange}
+                            max={getTodayString()}
+                        />
+                        {validationErrors.date && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {validationErrors.date}
+                            </div>
+                        )}
+                    </div>
+
+                    {!isIncome(formData) && renderSplitSection()}
+
+                    {currentScreen === SCREEN.ADD && (
+                        <div className="form-group">
+                            <label htmlFor="recurrence">Repeat</label>
+                            <select
+                                id="recurrence"
+                                name="recurrence"
+                                className="form-control"
+                                value={formData.recurrence}
+                                onChange={handleInputChange}
+                            >
+                                <option value="none">Does not repeat</option>
+                                {RECURRENCE_FREQUENCIES.map(frequency => (
+                                    <option key={frequency.id} value={frequency.id}>
+                                        {frequency.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {currentScreen === SCREEN.ADD && formData.recurrence !== 'none' && (
+                        <div className="form-group">
+                            <label htmlFor="recurrenceEnd">Ends</label>
+                            <select
+                                id="recurrenceEnd"
+                                name="recurrenceEnd"
+                                className="form-control"
+                                value={formData.recurrenceEnd}
+                                onChange={handleInputChange}
+                            >
+                                <option value="never">Never</option>
+                                <option value="date">On a date</option>
+                                <option value="count">After a number of occurrences</option>
+                            </select>
+                            {formData.recurrenceEnd === 'date' && (
+                                <input
+                                    type="date"
+                                    name="recurrenceEndDate"
+                                    className="form-control recurrence-end-input"
+                                    value={formData.recurrenceEndDate}
+                                    onChange={handleInputChange}
+                                    min={formData.date}
+                                />
+                            )}
+                            {formData.recurrenceEnd === 'count' && (
+                                <input
+                                    type="number"
+                                    name="recurrenceCount"
+                                    className="form-control recurrence-end-input"
+                                    value={formData.recurrenceCount}
+                                    onChange={handleInputChange}
+                                    placeholder="e.g., 12"
+                                    min="1"
+                                    step="1"
+                                />
+                            )}
+                            {(validationErrors.recurrenceEndDate || validationErrors.recurrenceCount) && (
+                                <div className="error-message">
+                                    <i className="fas fa-exclamation-circle"></i>
+                                    {validationErrors.recurrenceEndDate || validationErrors.recurrenceCount}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label htmlFor="tags">Tags (Optional)</label>
+                        <div className="tag-input">
+                            {formData.tags.map(tag => (
+                                <span key={tag} className="tag-chip">
+                                    #{tag}
+                                    <button type="button" onClick={() => handleRemoveTag(tag)} aria-label={`Remove ${tag}`}>
+                                        &times;
+                                    </button>
+                                </span>
+                            ))}
+                            <input
+                                id="tags"
+                                type="text"
+                                list="tag-suggestions"
+                                value={tagInput}
+                                onChange={handleTagInputChange}
+                                onKeyDown={handleTagInputKeyDown}
+                                onBlur={() => handleAddTags(tagInput)}
+                                placeholder={formData.tags.length === 0 ? 'e.g., wedding, ramadan' : ''}
+                            />
+                        </div>
+                        <datalist id="tag-suggestions">
+                            {allTags.filter(tag => !formData.tags.includes(tag)).map(tag => (
+                                <option key={tag} value={tag} />
+                            ))}
+                        </datalist>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="attachments">Receipts (Optional)</label>
+                        {formData.attachments.length > 0 && (
+                            <div className="attachment-grid">
+                                {formData.attachments.map((attachment, index) => (
+                                    <div key={attachment.id} className="attachment-thumb">
+                                        <button
+                                            type="button"
+                                            className="attachment-preview"
+                                            onClick={() => setAttachmentViewer({ attachments: formData.attachments, index })}
+                                            title={attachment.name}
+                                        >
+                                            {attachment.type.startsWith('image/') ? (
+                                                <img src={attachment.data} alt={attachment.name} />
+                                            ) : (
+                                                <i className="fas fa-file-pdf"></i>
+                                            )}
+                                        </button>
+                                        <span className="attachment-name">{attachment.name}</span>
+                                        <button
+                                            type="button"
+                                            className="attachment-remove"
+                                            onClick={() => handleRemoveAttachment(attachment.id)}
+                                            aria-label={`Remove ${attachment.name}`}
+                                        >
+                                            &times;
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <label className="attachment-picker">
+                            <i className={`fas ${isAttaching ? 'fa-spinner fa-spin' : 'fa-paperclip'}`}></i>
+                            {isAttaching ? 'Attaching...' : 'Attach photo or PDF'}
+                            <input
+                                id="attachments"
+                                type="file"
+                                accept="image/*,application/pdf"
+                                multiple
+                                onChange={handleAttachFiles}
+                                disabled={isAttaching}
+                            />
+                        </label>
+                    </div>
+
+                    <div className="form-group">
+                        <label htmlFor="notes">Notes (Optional)</label>
+                        <textarea
+                            id="notes"
+                            name="notes"
+                            className="form-control"
+                            value={formData.notes}
+                            onChange={handleInputChange}
+                            placeholder="Add any additional notes..."
+                            rows="3"
+                        />
+                    </div>
+
+                    <div className="modal-actions">
+                        <button type="submit" className="btn-primary">
+                            <i className="fas fa-save"></i>
+                            {currentScreen === SCREEN.ADD ? 'Add' : 'Update'}
+                            {' '}{isIncome(formData) ? 'Income' : 'Expense'}
+                        </button>
+                        <button 
+                            type="button" 
+                            className="btn-secondary"
+                            onClick={() => navigateTo(SCREEN.DASHBOARD)}
+                        >
+                            <i className="fas fa-times"></i>
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+
+    const renderReports = () => (
+        <div className="screen">
+            <div className="reports-header">
+                <h1>Reports & Analytics</h1>
+                <div className="report-controls">
+                    <div className="search-box">
+                        <input
+                            ref={searchInputRef}
+                            type="text"
+                            placeholder="Search, e.g. amount>5000 category:food -uber"
+                            value={searchTerm}
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                            className="search-input"
+                            aria-label="Search transactions"
+                        />
+                        <button
+                            type="button"
+                            className={`btn-icon ${showSearchHelp ? 'active' : ''}`}
+                            onClick={() => setShowSearchHelp(prev => !prev)}
+                            title="Search syntax"
+                            aria-expanded={showSearchHelp}
+                        >
+                            <i className="fas fa-question-circle"></i>
+                        </button>
+                        {searchTerm.trim() && (
+                            <button
+                                type="button"
+                                className={`btn-icon ${activeSavedSearch ? 'active' : ''}`}
+                                onClick={() => activeSavedSearch
+                                    ? handleDeleteSavedSearch(activeSavedSearch)
+                                    : setSavedSearchName(prev => prev === null ? '' : null)}
+                                title={activeSavedSearch ? `Delete saved search "${activeSavedSearch.name}"` : 'Save this search'}
+                            >
+                                <i className="fas fa-bookmark"></i>
+                            </button>
+                        )}
+                        {showSearchHelp && (
+                            <div className="search-help">
+                                <div className="search-help-header">
+                                    <strong>Search syntax</strong>
+                                    <button type="button" className="modal-close" onClick={() => setShowSearchHelp(false)}>
+                                        <i className="fas fa-times"></i>
+                                    </button>
+                                </div>
+                                <table>
+                                    <tbody>
+                                        {SEARCH_HELP.map(({ syntax, description }) => (
+                                            <tr key={syntax}>
+                                                <td><code>{syntax}</code></td>
+                                                <td>{description}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                        {savedSearchName !== null && searchTerm.trim() && (
+                            <form className="save-search-form" onSubmit={handleSaveSearch}>
+                                <input
+                                    type="text"
+                                    className="form-control"
+                                    value={savedSearchName}
+                                    onChange={(e) => setSavedSearchName(e.target.value)}
+                                    placeholder="Name this search"
+                                    aria-label="Saved search name"
+                                    autoFocus
+                                />
+                                <button type="submit" className="btn-primary" disabled={!savedSearchName.trim()}>
+                                    Save
+                                </button>
+                                <button type="button" className="btn-secondary" onClick={() => setSavedSearchName(null)}>
+                                    Cancel
+                                </button>
+                            </form>
+                        )}
+                        {searchQuery.errors.length > 0 && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {searchQuery.errors.join('; ')}
+                            </div>
+                        )}
+                    </div>
+                    {savedSearches.length > 0 && (
+                        <select
+                            value={activeSavedSearch?.id || ''}
+                            onChange={(e) => handleSelectSavedSearch(e.target.value)}
+                            aria-label="Saved searches"
+                        >
+                            <option value="">Saved searches...</option>
+                            {savedSearches.map(saved => (
+                                <option key={saved.id} value={saved.id}>{saved.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <select value={filterType} onChange={(e) => setFilterType(e.target.value)}>
+                        <option value="all">All Transactions</option>
+                        <option value="expense">Expenses</option>
+                        <option value="income">Income</option>
+                    </select>
+                    {allTags.length > 0 && (
+                        <select
+                            value=""
+                            onChange={(e) => e.target.value && handleToggleTagFilter(e.target.value)}
+                            aria-label="Filter by tag"
+                        >
+                            <option value="">Filter by tag...</option>
+                            {allTags.filter(tag => !filterTags.includes(tag)).map(tag => (
+                                <option key={tag} value={tag}>#{tag}</option>
+                            ))}
+                        </select>
+                    )}
+                    {filterTags.map(tag => (
+                        <span key={tag} className="tag-chip active">
+                            #{tag}
+                            <button type="button" onClick={() => handleToggleTagFilter(tag)} aria-label={`Stop filtering by ${tag}`}>
+                                &times;
+                            </button>
+                        </span>
+                    ))}
+                    <select value={filterAccount} onChange={(e) => setFilterAccount(e.target.value)} aria-label="Account">
+                        <option value="all">All Accounts</option>
+                        {accounts.map(account => (
+                            <option key={account.id} value={account.id}>{account.name}</option>
+                        ))}
+                        <option value="none">No Account</option>
+                    </select>
+                    <select value={filterCategory} onChange={(e) => setFilterCategory(e.target.value)}>
+                        <option value="all">All Categories</option>
+                        <optgroup label="Expense Categories">
+                            {categories.map(cat => (
+                                <option key={cat.id} value={cat.id}>{cat.name}</option>
+                            ))}
+                        </optgroup>
+                        <optgroup label="Income Sources">
+                            {INCOME_SOURCES.map(source => (
+                                <option key={source.id} value={source.id}>{source.name}</option>
+                            ))}
+                        </optgroup>
+                    </select>
+                    <select
+                        value={dateRange.preset}
+                        onChange={(e) => setDateRange(prev => ({ ...prev, preset: e.target.value }))}
+                        aria-label="Date range"
+                    >
+                        {DATE_RANGE_PRESETS.map(preset => (
+                            <option key={preset.id} value={preset.id}>{preset.name}</option>
+                        ))}
+                    </select>
+                    {dateRange.preset === 'custom' && (
+                        <div className="date-range-inputs">
+                            <input
+                                type="date"
+                                value={dateRange.from}
+                                onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+                                max={dateRange.to || undefined}
+                                aria-label="From date"
+                            />
+                            <span>to</span>
+                            <input
+                                type="date"
+                                value={dateRange.to}
+                                onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+                                min={dateRange.from || undefined}
+                                aria-label="To date"
+                            />
+                        </div>
+                    )}
+                    <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+                        <option value="date-desc">Newest First</option>
+                        <option value="date-asc">Oldest First</option>
+                        <option value="amount-desc">Highest Amount</option>
+                        <option value="amount-asc">Lowest Amount</option>
+                        <option value="title-asc">Title A-Z</option>
+                        <option value="title-desc">Title Z-A</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="report-views">
+                <span className="report-views-label">
+                    <i className="fas fa-layer-group"></i>
+                    Views
+                </span>
+                {reportViews.map(view => (
+                    <span key={view.id} className={`report-view-chip ${activeReportView?.id === view.id ? 'active' : ''}`}>
+                        <button type="button" onClick={() => handleApplyReportView(view)} title="Apply this view">
+                            {view.name}
+                        </button>
+                        <button
+                            type="button"
+                            className={view.pinned ? 'pinned' : ''}
+                            onClick={() => handleTogglePinReportView(view.id)}
+                            title={view.pinned ? 'Unpin from the Expenses menu' : 'Pin to the Expenses menu'}
+                        >
+                            <i className="fas fa-thumbtack"></i>
+                        </button>
+                        <button type="button" onClick={() => handleDeleteReportView(view)} aria-label={`Delete ${view.name}`}>
+                            &times;
+                        </button>
+                    </span>
+                ))}
+                {reportViewName === null ? (
+                    <button type="button" className="btn-secondary" onClick={() => setReportViewName(activeReportView?.name || '')}>
+                        <i className="fas fa-save"></i>
+                        Save View
+                    </button>
+                ) : (
+                    <form className="save-search-form report-view-form" onSubmit={handleSaveReportView}>
+                        <input
+                            type="text"
+                            className="form-control"
+                            value={reportViewName}
+                            onChange={(e) => setReportViewName(e.target.value)}
+                            placeholder="Name this view"
+                            aria-label="View name"
+                            autoFocus
+                        />
+                        <button type="submit" className="btn-primary" disabled={!reportViewName.trim()}>
+                            Save
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => setReportViewName(null)}>
+                            Cancel
+                        </button>
+                    </form>
+                )}
+            </div>
+            
+            <div className="reports-container">
+                <div className="report-card">
+                    <div className="report-header">
+                        <h3>Top Spending Categories</h3>
+                        <span className="report-period">{getDateRangeLabel(dateRange)}</span>
+                    </div>
+                    <div className="chart-container" style={{ height: '250px' }}>
+                        {reportExpenseEntries.length > 0 ? (
+                            <CategoryChart
+                                expenses={reportExpenseEntries}
+                                categories={categories}
+                                displayCurrency={displayCurrency}
+                                exchangeRates={exchangeRates}
+                            />
+                        ) : (
+                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                                <p className="text-muted">No data to display</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="report-card">
+                    <div className="report-header">
+                        <h3>Spending Trends</h3>
+                        <span className="report-period">
+                            {dateRangeBounds.from
+                                ? getDateRangeLabel(dateRange)
+                                : `Last ${DEFAULT_TREND_WINDOW[trendOptions.granularity]} ${TREND_WINDOW_UNITS[trendOptions.granularity]}`
+                            }
+                        </span>
+                    </div>
+                    <div className="trend-controls">
+                        <select
+                            value={trendOptions.granularity}
+                            onChange={(e) => setTrendOptions(prev => ({ ...prev, granularity: e.target.value }))}
+                            aria-label="Granularity"
+                        >
+                            {TREND_GRANULARITIES.map(granularity => (
+                                <option key={granularity.id} value={granularity.id}>{granularity.name}</option>
+                            ))}
+                        </select>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={trendOptions.stacked}
+                                onChange={(e) => setTrendOptions(prev => ({ ...prev, stacked: e.target.checked }))}
+                            />
+                            By category
+                        </label>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={trendOptions.compare}
+                                onChange={(e) => setTrendOptions(prev => ({ ...prev, compare: e.target.checked }))}
+                            />
+                            Compare with previous period
+                        </label>
+                    </div>
+                    <div className="chart-container" style={{ height: '250px' }}>
+                        {reportExpenseEntries.length > 0 ? (
+                            <TrendChart
+                                expenses={expenseEntries}
+                                categories={categories}
+                                displayCurrency={displayCurrency}
+                                exchangeRates={exchangeRates}
+                                startDate={dateRangeBounds.from}
+                                endDate={dateRangeBounds.to}
+                                granularity={trendOptions.granularity}
+                                stacked={trendOptions.stacked}
+                                compare={trendOptions.compare}
+                                yearOverYear={dateRange.preset === 'year-to-date'}
+                            />
+                        ) : (
+                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                                <p className="text-muted">No data to display</p>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="report-card full-width">
+                    <div className="report-header">
+                        <h3>All Transactions</h3>
+                        <div className="column-picker">
+                            <span className="report-period">{filteredExpenses.length} transaction(s)</span>
+                            <button
+                                type="button"
+                                className={`btn-icon ${showColumnMenu ? 'active' : ''}`}
+                                onClick={() => setShowColumnMenu(prev => !prev)}
+                                title="Choose columns"
+                                aria-expanded={showColumnMenu}
+                            >
+                                <i className="fas fa-columns"></i>
+                            </button>
+                            {showColumnMenu && (
+                                <div className="column-menu">
+                                    {REPORT_COLUMNS.map(column => (
+                                        <label key={column.id} className="column-option">
+                                            <input
+                                                type="checkbox"
+                                                checked={column.required || visibleColumns.includes(column.id)}
+                                                disabled={column.required}
+                                                onChange={() => handleToggleColumn(column.id)}
+                                            />
+                                            {column.name}
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     </div>
+                    
+                    {filteredExpenses.length === 0 ? (
+                        <div className="empty-state">
+                            <p>No transactions match your filters.</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="expenses-table">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>
+                                                <input 
+                                                    type="checkbox"
+                                                    checked={selectedExpenses.length === filteredExpenses.length}
+                                                    onChange={handleSelectAll}
+                                                />
+                                            </th>
+                                            {visibleColumns.includes('date') && <th>Date</th>}
+                                            <th>Title</th>
+                                            {visibleColumns.includes('category') && <th>Category</th>}
+                                            {visibleColumns.includes('account') && <th>Account</th>}
+                                            {visibleColumns.includes('amount') && <th>Amount ({displayCurrency})</th>}
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filteredExpenses.map(expense => (
+                                            <tr key={expense.id} className="expense-row">
+                                                <td>
+                                                    <input 
+                                                        type="checkbox"
+                                                        checked={selectedExpenses.includes(expense.id)}
+                                                        onChange={() => handleSelectExpense(expense.id)}
+                                                    />
+                                                </td>
+                                                {visibleColumns.includes('date') && (
+                                                    <td>{new Date(expense.date).toLocaleDateString('en-PK')}</td>
+                                                )}
+                                                <td>
+                                                    {expense.title}
+                                                    {expense.attachments?.length > 0 && (
+                                                        <button
+                                                            className="attachment-badge"
+                                                            onClick={() => setAttachmentViewer({ attachments: expense.attachments, index: 0 })}
+                                                            title="View receipts"
+                                                        >
+                                                            <i className="fas fa-paperclip"></i>
+                                                            {expense.attachments.length}
+                                                        </button>
+                                                    )}
+                                                    {expense.tags?.length > 0 && (
+                                                        <div className="tag-list">
+                                                            {expense.tags.map(tag => (
+                                                                <button
+                                                                    key={tag}
+                                                                    className={`tag-chip ${filterTags.includes(tag) ? 'active' : ''}`}
+                                                                    onClick={() => handleToggleTagFilter(tag)}
+                                                                    title={filterTags.includes(tag) ? 'Remove tag filter' : 'Filter by this tag'}
+                                                                >
+                                                                    #{tag}
+                                                                </button>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                                {visibleColumns.includes('category') && (
+                                                    <td>
+                                                        <CategoryBadge category={getTransactionCategory(expense)} />
+                                                    </td>
+                                                )}
+                                                {visibleColumns.includes('account') && (
+                                                    <td>{accounts.find(account => account.id === expense.account)?.name || '—'}</td>
+                                                )}
+                                                {visibleColumns.includes('amount') && (
+                                                    <td className={isIncome(expense) ? 'amount-income' : ''}>
+                                                        {isIncome(expense) ? '+' : ''}{formatAmount(expense.amount)}
+                                                        {expense.currency && expense.currency !== displayCurrency && (
+                                                            <span className="original-amount">
+                                                                {formatCurrency(expense.originalAmount, expense.currency)}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                )}
+                                                <td>
+                                                    <div className="action-buttons">
+                                                        <button 
+                                                            className="btn-icon"
+                                                            onClick={() => openEditModal(expense)}
+                                                            title="Edit"
+                                                        >
+                                                            <i className="fas fa-edit"></i>
+                                                        </button>
+                                                        <button 
+                                                            className="btn-icon danger"
+                                                            onClick={() => handleDeleteExpense(expense.id)}
+                                                            title="Delete"
+                                                        >
+                                                            <i className="fas fa-trash"></i>
+                                                        </button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {selectedExpenses.length > 0 && (
+                                <div className="bulk-actions">
+                                    <span>{selectedExpenses.length} item(s) selected</span>
+                                    <button className="btn-danger" onClick={handleBulkDelete}>
+                                        <i className="fas fa-trash"></i> Delete Selected
+                                    </button>
+                                    <button className="btn-primary" onClick={() => setIsExportModalOpen(true)}>
+                                        <i className="fas fa-download"></i> Export Selected
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
                 </div>
 
-                <div className="stat-card">
-                    <div className="stat-icon">
-                        <i className="fas fa-calendar-alt"></i>
-                    </div>
-                    <div className="stat-content">
-                        <h3>Monthly Total</h3>
-                        <p>{formatPKR(monthlyExpenses)}</p>
-                        <div className="stat-trend">
-                            <i className="fas fa-calendar"></i>
-                            <span>{new Date().toLocaleDateString('en-PK', { month: 'long', year: 'numeric' })}</span>
+                {monthlyCashFlow.length > 0 && (
+                    <div className="report-card full-width">
+                        <div className="report-header">
+                            <h3>Monthly Cash Flow</h3>
+                            <span className="report-period">Income vs Expenses</span>
+                        </div>
+                        <div className="expenses-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Month</th>
+                                        <th>Income</th>
+                                        <th>Expenses</th>
+                                        <th>Net Savings</th>
+                                        <th>Savings Rate</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {monthlyCashFlow.map(({ month, income, expenses: spent, net, savingsRate }) => (
+                                        <tr key={month} className="expense-row">
+                                            <td>{new Date(`${month}-01`).toLocaleDateString('en-PK', { month: 'long', year: 'numeric' })}</td>
+                                            <td className="amount-income">{formatAmount(income)}</td>
+                                            <td>{formatAmount(spent)}</td>
+                                            <td className={net < 0 ? 'trend-down' : 'trend-up'}>{formatAmount(net)}</td>
+                                            <td>{savingsRate !== null ? `${savingsRate.toFixed(1)}%` : 'N/A'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
                         </div>
                     </div>
-                </div>
+                )}
 
-                <div className="stat-card">
-                    <div className="stat-icon">
-                        <i className="fas fa-chart-pie"></i>
-                    </div>
-                    <div className="stat-content">
-                        <h3>Average Expense</h3>
-                        <p>{formatPKR(averageExpense)}</p>
-                        <div className="stat-trend">
-                            <i className="fas fa-calculator"></i>
-                            <span>Per transaction</span>
+                {reportExpenseEntries.length > 0 && (
+                    <>
+                        <div className="report-card">
+                            <div className="report-header">
+                                <h3>Category Breakdown</h3>
+                                <span className="report-period">{getDateRangeLabel(dateRange)}</span>
+                            </div>
+                            <div className="category-list">
+                                {topCategories.map(({ category, amount, name, icon, color }) => (
+                                    <div key={category} className="category-item">
+                                        <div className="category-info">
+                                            <i className={`fas ${icon}`} style={{ color }}></i>
+                                            <span>{name}</span>
+                                        </div>
+                                        <div className="category-stats">
+                                            <strong>{formatAmount(amount)}</strong>
+                                            <span className="category-percentage">
+                                                ({((amount / reportTotals.expenses) * 100).toFixed(1)}%)
+                                            </span>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {tagTotals.length > 0 && (
+                                <>
+                                    <h4 className="breakdown-subheading">By Tag</h4>
+                                    <div className="category-list">
+                                        {tagTotals.map(({ tag, amount }) => (
+                                            <div key={tag} className="category-item">
+                                                <div className="category-info">
+                                                    <i className="fas fa-hashtag"></i>
+                                                    <span>{tag}</span>
+                                                </div>
+                                                <div className="category-stats">
+                                                    <strong>{formatAmount(amount)}</strong>
+                                                    <span className="category-percentage">
+                                                        ({((amount / reportTotals.expenses) * 100).toFixed(1)}%)
+                                                    </span>
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
                         </div>
-                    </div>
-                </div>
-            </div>
 
-            <div className="charts-grid">
-                <div className="chart-card">
-                    <h3>Spending by Category</h3>
-                    <div className="chart-container">
-                        {expenses.length > 0 ? (
-                            <CategoryChart expenses={expenses} />
-                        ) : (
-                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                                <p className="text-muted">No data to display</p>
+                        <div className="report-card">
+                            <div className="report-header">
+                                <h3>Summary Statistics</h3>
+                                <span className="report-period">{getDateRangeLabel(dateRange)}</span>
                             </div>
-                        )}
+                            <div className="stats-list">
+                                <div className="stat-item">
+                                    <span>Total Transactions</span>
+                                    <strong>{reportTransactions.length}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Total Income</span>
+                                    <strong>{formatAmount(reportTotals.income)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Total Expenses</span>
+                                    <strong>{formatAmount(reportTotals.expenses)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Net Savings</span>
+                                    <strong>{formatAmount(reportTotals.income - reportTotals.expenses)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Savings Rate</span>
+                                    <strong>
+                                        {reportTotals.income > 0
+                                            ? `${getSavingsRate(reportTotals.income, reportTotals.expenses).toFixed(1)}%`
+                                            : 'N/A'
+                                        }
+                                    </strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Average per Expense</span>
+                                    <strong>{formatAmount(reportTotals.average)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Highest Expense</span>
+                                    <strong>{formatAmount(reportTotals.highest)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Lowest Expense</span>
+                                    <strong>{formatAmount(reportTotals.lowest)}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Most Active Category</span>
+                                    <strong>{topCategories[0]?.name || 'N/A'}</strong>
+                                </div>
+                                <div className="stat-item">
+                                    <span>Total Categories Used</span>
+                                    <strong>{Object.keys(categoryTotals).length}</strong>
+                                </div>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+
+    const renderTrash = () => (
+        <div className="screen">
+            <div className="reports-header">
+                <h1>Trash</h1>
+                {trash.length > 0 && (
+                    <div className="action-buttons">
+                        <button className="btn-secondary" onClick={() => handleRestoreFromTrash(trash.map(item => item.id))}>
+                            <i className="fas fa-undo"></i> Restore All
+                        </button>
+                        <button className="btn-danger" onClick={() => handlePurgeFromTrash(trash.map(item => item.id))}>
+                            <i className="fas fa-trash"></i> Empty Trash
+                        </button>
                     </div>
+                )}
+            </div>
+
+            <div className="report-card full-width">
+                <div className="report-header">
+                    <h3>Deleted Transactions</h3>
+                    <span className="report-period">
+                        {trashRetentionDays > 0
+                            ? `Purged automatically after ${trashRetentionDays} days`
+                            : 'Kept until you empty the trash'
+                        }
+                    </span>
                 </div>
 
-                <div className="chart-card">
-                    <h3>7-Day Trend</h3>
-                    <div className="chart-container">
-                        {expenses.length > 0 ? (
-                            <TrendChart expenses={expenses} />
-                        ) : (
-                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                                <p className="text-muted">No data to display</p>
-                            </div>
-                        )}
+                {trash.length === 0 ? (
+                    <div className="empty-state">
+                        <p>The trash is empty.</p>
                     </div>
-                </div>
+                ) : (
+                    <div className="expenses-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Title</th>
+                                    <th>Category</th>
+                                    <th>Amount ({displayCurrency})</th>
+                                    <th>Date</th>
+                                    <th>Deleted</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {trash.map(item => (
+                                    <tr key={item.id} className="expense-row">
+                                        <td>{item.title}</td>
+                                        <td>
+                                            <CategoryBadge category={getTransactionCategory(item)} />
+                                        </td>
+                                        <td className={isIncome(item) ? 'amount-income' : ''}>{formatAmount(item.amount)}</td>
+                                        <td>{new Date(item.date).toLocaleDateString('en-PK')}</td>
+                                        <td>
+                                            {new Date(item.deletedAt).toLocaleString('en-PK')}
+                                            {trashRetentionDays > 0 && (
+                                                <div className="text-muted">
+                                                    {Math.max(0, Math.ceil((item.deletedAt + trashRetentionDays * DAY_MS - Date.now()) / DAY_MS))} day(s) left
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <div className="action-buttons">
+                                                <button
+                                                    className="btn-icon"
+                                                    onClick={() => handleRestoreFromTrash([item.id])}
+                                                    title="Restore"
+                                                >
+                                                    <i className="fas fa-undo"></i>
+                                                </button>
+                                                <button
+                                                    className="btn-icon danger"
+                                                    onClick={() => handlePurgeFromTrash([item.id])}
+                                                    title="Delete permanently"
+                                                >
+                                                    <i className="fas fa-times"></i>
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+
+    const renderRecovery = () => (
+        <div className="screen">
+            <div className="reports-header">
+                <h1>Data Recovery</h1>
+                {recoveryRecords.length > 0 && (
+                    <div className="action-buttons">
+                        <button className="btn-secondary" onClick={handleDownloadRecoveryRecords}>
+                            <i className="fas fa-download"></i> Download All
+                        </button>
+                        <button
+                            className="btn-danger"
+                            onClick={() => handleDiscardRecoveryRecords(recoveryRecords.map(entry => entry.id))}
+                        >
+                            <i className="fas fa-trash"></i> Discard All
+                        </button>
+                    </div>
+                )}
             </div>
 
-            <div className="recent-expenses">
-                <div className="section-header">
-                    <h2>Recent Expenses</h2>
-                    <button className="view-all-btn" onClick={() => navigateTo(SCREEN.REPORTS)}>
-                        View All <i className="fas fa-arrow-right"></i>
-                    </button>
+            <div className="report-card full-width">
+                <div className="report-header">
+                    <h3>Records That Could Not Be Repaired</h3>
+                    <span className="report-period">{recoveryRecords.length} record(s)</span>
                 </div>
 
-                {expenses.length === 0 ? (
+                {recoveryRecords.length === 0 ? (
                     <div className="empty-state">
-                        <i className="fas fa-receipt" style={{ fontSize: '3rem', color: 'var(--gray-400)', marginBottom: '1rem' }}></i>
-                        <p>No expenses yet. Click "Add Expense" to get started.</p>
-                        <button className="btn-primary" onClick={() => navigateTo(SCREEN.ADD)}>
-                            <i className="fas fa-plus"></i> Add Your First Expense
-                        </button>
+                        <p>All saved records are valid.</p>
                     </div>
                 ) : (
                     <div className="expenses-table">
                         <table>
                             <thead>
                                 <tr>
-                                    <th>
-                                        <input 
-                                            type="checkbox"
-                                            checked={selectedExpenses.length === recentExpenses.length && recentExpenses.length > 0}
-                                            onChange={handleSelectAll}
-                                        />
-                                    </th>
-                                    <th>Date</th>
-                                    <th>Title</th>
-                                    <th>Category</th>
-                                    <th>Amount (PKR)</th>
+                                    <th>Source</th>
+                                    <th>Problems</th>
+                                    <th>Record</th>
+                                    <th>Found</th>
                                     <th>Actions</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                {recentExpenses.map(expense => (
-                                    <tr key={expense.id} className="expense-row">
+                                {recoveryRecords.map(entry => (
+                                    <tr key={entry.id} className="expense-row">
+                                        <td>{entry.source}</td>
                                         <td>
-                                            <input 
-                                                type="checkbox"
-                                                checked={selectedExpenses.includes(expense.id)}
-                                                onChange={() => handleSelectExpense(expense.id)}
-                                            />
+                                            <ul className="recovery-errors">
+                                                {entry.errors.map(error => <li key={error}>{error}</li>)}
+                                            </ul>
                                         </td>
-                                        <td>{new Date(expense.date).toLocaleDateString('en-PK')}</td>
-                                        <td>{expense.title}</td>
                                         <td>
-                                            <span className="category-badge" style={{
-                                                backgroundColor: CATEGORIES.find(c => c.id === expense.category)?.color + '20',
-                                                color: CATEGORIES.find(c => c.id === expense.category)?.color
-                                            }}>
-                                                <i className={`fas ${CATEGORIES.find(c => c.id === expense.category)?.icon}`}></i>
-                                                {' '}{CATEGORIES.find(c => c.id === expense.category)?.name}
-                                            </span>
+                                            <pre className="recovery-record">{JSON.stringify(entry.record, null, 2)}</pre>
                                         </td>
-                                        <td>{formatPKR(expense.amount)}</td>
+                                        <td>{new Date(entry.foundAt).toLocaleString('en-PK')}</td>
                                         <td>
                                             <div className="action-buttons">
-                                                <button 
-                                                    className="btn-icon"
-                                                    onClick={() => openEditModal(expense)}
-                                                    title="Edit"
-                                                >
-                                                    <i className="fas fa-edit"></i>
-                                                </button>
-                                                <button 
+                                                <button
                                                     className="btn-icon danger"
-                                                    onClick={() => handleDeleteExpense(expense.id)}
-                                                    title="Delete"
+                                                    onClick={() => handleDiscardRecoveryRecords([entry.id])}
+                                                    title="Discard"
                                                 >
-                                                    <i className="fas fa-trash"></i>
+                                                    <i className="fas fa-times"></i>
                                                 </button>
                                             </div>
                                         </td>
@@ -874,278 +6311,293 @@ function App() {
                         </table>
                     </div>
                 )}
-
-                {selectedExpenses.length > 0 && (
-                    <div className="bulk-actions">
-                        <span>{selectedExpenses.length} item(s) selected</span>
-                        <button className="btn-danger" onClick={handleBulkDelete}>
-                            <i className="fas fa-trash"></i> Delete Selected
-                        </button>
-                        <button className="btn-primary" onClick={() => setIsExportModalOpen(true)}>
-                            <i className="fas fa-download"></i> Export Selected
-                        </button>
-                    </div>
-                )}
             </div>
         </div>
     );
 
-    const renderAddEditForm = () => (
+    const renderRecurring = () => (
         <div className="screen">
-            <h1>{currentScreen === SCREEN.ADD ? 'Add New Expense' : 'Edit Expense'}</h1>
-            
-            <div className="form-container">
-                <form className="form-card" onSubmit={currentScreen === SCREEN.ADD ? handleAddExpense : handleEditExpense}>
-                    <div className="form-group">
-                        <label htmlFor="title">
-                            Title <span className="required">*</span>
-                        </label>
-                        <input
-                            ref={titleInputRef}
-                            type="text"
-                            id="title"
-                            name="title"
-                            className="form-control"
-                            value={formData.title}
-                            onChange={handleInputChange}
-                            placeholder="e.g., Groceries, Utility Bill, etc."
-                        />
-                        {validationErrors.title && (
-                            <div className="error-message">
-                                <i className="fas fa-exclamation-circle"></i>
-                                {validationErrors.title}
-                            </div>
-                        )}
-                    </div>
-
-                    <div className="form-group">
-                        <label htmlFor="amount">
-                            Amount (PKR) <span className="required">*</span>
-                        </label>
-                        <input
-                            type="number"
-                            id="amount"
-                            name="amount"
-                            className="form-control"
-                            value={formData.amount}
-                            onChange={handleInputChange}
-                            placeholder="e.g., 1500"
-                            min="1"
-                            step="1"
-                        />
-                        {validationErrors.amount && (
-                            <div className="error-message">
-                                <i className="fas fa-exclamation-circle"></i>
-                                {validationErrors.amount}
-                            </div>
-                        )}
-                    </div>
-
-                    <div className="form-group">
-                        <label htmlFor="category">
-                            Category <span className="required">*</span>
-                        </label>
-                        <select
-                            id="category"
-                            name="category"
-                            className="form-control"
-                            value={formData.category}
-                            onChange={handleInputChange}
-                        >
-                            {CATEGORIES.map(category => (
-                                <option key={category.id} value={category.id}>
-                                    {category.name}
-                                </option>
-                            ))}
-                        </select>
-                        {validationErrors.category && (
-                            <div className="error-message">
-                                <i className="fas fa-exclamation-circle"></i>
-                                {validationErrors.category}
-                            </div>
-                        )}
-                    </div>
+            <div className="reports-header">
+                <h1>Recurring Expenses</h1>
+                <button className="btn-primary" onClick={() => navigateTo(SCREEN.ADD)}>
+                    <i className="fas fa-plus"></i> New Recurring Expense
+                </button>
+            </div>
 
-                    <div className="form-group">
-                        <label htmlFor="date">
-                            Date <span className="required">*</span>
-                        </label>
-                        <input
-                            type="date"
-                            id="date"
-                            name="date"
-                            className="form-control"
-                            value={formData.date}
-                            onChange={handleInputChange}
-                            max={new Date().toISOString().split('T')[0]}
-                        />
-                        {validationErrors.date && (
-                            <div className="error-message">
-                                <i className="fas fa-exclamation-circle"></i>
-                                {validationErrors.date}
-                            </div>
-                        )}
-                    </div>
+            <div className="report-card full-width">
+                <div className="report-header">
+                    <h3>Schedules</h3>
+                    <span className="report-period">{recurringRules.length} rule(s)</span>
+                </div>
 
-                    <div className="form-group">
-                        <label htmlFor="notes">Notes (Optional)</label>
-                        <textarea
-                            id="notes"
-                            name="notes"
-                            className="form-control"
-                            value={formData.notes}
-                            onChange={handleInputChange}
-                            placeholder="Add any additional notes..."
-                            rows="3"
-                        />
+                {recurringRules.length === 0 ? (
+                    <div className="empty-state">
+                        <p>No recurring expenses yet. Choose a "Repeat" option when adding an expense.</p>
                     </div>
-
-                    <div className="modal-actions">
-                        <button type="submit" className="btn-primary">
-                            <i className="fas fa-save"></i>
-                            {currentScreen === SCREEN.ADD ? 'Add Expense' : 'Update Expense'}
-                        </button>
-                        <button 
-                            type="button" 
-                            className="btn-secondary"
-                            onClick={() => navigateTo(SCREEN.DASHBOARD)}
-                        >
-                            <i className="fas fa-times"></i>
-                            Cancel
-                        </button>
+                ) : (
+                    <div className="expenses-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Title</th>
+                                    <th>Category</th>
+                                    <th>Amount ({displayCurrency})</th>
+                                    <th>Repeats</th>
+                                    <th>Next Due</th>
+                                    <th>Ends</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {recurringRules.map(rule => {
+                                    const category = getTransactionCategory(rule.template);
+                                    const nextDate = getNextOccurrenceDate(rule);
+                                    return (
+                                        <tr key={rule.id} className="expense-row">
+                                            <td>{rule.template.title}</td>
+                                            <td>
+                                                <CategoryBadge category={category} />
+                                            </td>
+                                            <td>{formatAmount(rule.template.amount)}</td>
+                                            <td>{RECURRENCE_FREQUENCIES.find(f => f.id === rule.frequency)?.name}</td>
+                                            <td>
+                                                {rule.paused
+                                                    ? <span className="text-muted">Paused</span>
+                                                    : nextDate
+                                                        ? new Date(nextDate).toLocaleDateString('en-PK')
+                                                        : <span className="text-muted">Completed</span>
+                                                }
+                                            </td>
+                                            <td>
+                                                {rule.endDate
+                                                    ? new Date(rule.endDate).toLocaleDateString('en-PK')
+                                                    : rule.endCount
+                                                        ? `${rule.occurrenceCount} of ${rule.endCount}`
+                                                        : 'Never'
+                                                }
+                                            </td>
+                                            <td>
+                                                <div className="action-buttons">
+                                                    <button
+                                                        className="btn-icon"
+                                                        onClick={() => handleToggleRecurringRule(rule.id)}
+                                                        title={rule.paused ? 'Resume' : 'Pause'}
+                                                        disabled={!rule.paused && !nextDate}
+                                                    >
+                                                        <i className={`fas fa-${rule.paused ? 'play' : 'pause'}`}></i>
+                                                    </button>
+                                                    <button
+                                                        className="btn-icon danger"
+                                                        onClick={() => handleDeleteRecurringRule(rule.id)}
+                                                        title="Stop"
+                                                    >
+                                                        <i className="fas fa-trash"></i>
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
                     </div>
-                </form>
+                )}
             </div>
         </div>
     );
 
-    const renderReports = () => (
-        <div className="screen">
-            <div className="reports-header">
-                <h1>Reports & Analytics</h1>
-                <div className="report-controls">
-                    <input
-                        ref={searchInputRef}
-                        type="text"
-                        placeholder="Search expenses..."
-                        value={searchTerm}
-                        onChange={(e) => setSearchTerm(e.target.value)}
-                        className="search-input"
-                    />
-                    <select value={filterCategory} onChange={(e) => setFilterCategory(e.target.value)}>
-                        <option value="all">All Categories</option>
-                        {CATEGORIES.map(cat => (
-                            <option key={cat.id} value={cat.id}>{cat.name}</option>
-                        ))}
-                    </select>
-                    <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
-                        <option value="date-desc">Newest First</option>
-                        <option value="date-asc">Oldest First</option>
-                        <option value="amount-desc">Highest Amount</option>
-                        <option value="amount-asc">Lowest Amount</option>
-                        <option value="title-asc">Title A-Z</option>
-                        <option value="title-desc">Title Z-A</option>
-                    </select>
+    const renderPeople = () => {
+        const debts = simplifyPeopleDebts ? simplifiedDebts : pairwiseDebts;
+        const people = Object.keys(peopleBalances).sort((a, b) =>
+            a === SELF_PERSON ? -1 : b === SELF_PERSON ? 1 : a.localeCompare(b)
+        );
+        const settlePeople = [SELF_PERSON, ...knownPeople];
+
+        return (
+            <div className="screen">
+                <div className="reports-header">
+                    <h1>People</h1>
+                    <button className="btn-primary" onClick={() => handleStartSettle()}>
+                        <i className="fas fa-handshake"></i> Record Payment
+                    </button>
                 </div>
-            </div>
-            
-            <div className="reports-container">
-                <div className="report-card">
-                    <div className="report-header">
-                        <h3>Top Spending Categories</h3>
-                        <span className="report-period">This Month</span>
-                    </div>
-                    <div className="chart-container" style={{ height: '250px' }}>
-                        {expenses.length > 0 ? (
-                            <CategoryChart expenses={expenses} />
-                        ) : (
-                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                                <p className="text-muted">No data to display</p>
+
+                <div className="reports-container">
+                    {settleForm && (
+                        <form className="report-card full-width settle-form" onSubmit={handleRecordSettlement}>
+                            <div className="report-header">
+                                <h3>Settle Up</h3>
                             </div>
-                        )}
-                    </div>
-                </div>
+                            <div className="settle-form-fields">
+                                <div className="form-group">
+                                    <label htmlFor="settle-from">Paid by</label>
+                                    <input
+                                        id="settle-from"
+                                        name="from"
+                                        className="form-control"
+                                        list="people-names"
+                                        value={settleForm.from}
+                                        onChange={handleSettleFormChange}
+                                        placeholder="Name"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="settle-to">Paid to</label>
+                                    <input
+                                        id="settle-to"
+                                        name="to"
+                                        className="form-control"
+                                        list="people-names"
+                                        value={settleForm.to}
+                                        onChange={handleSettleFormChange}
+                                        placeholder="Name"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="settle-amount">Amount ({BASE_CURRENCY})</label>
+                                    <input
+                                        id="settle-amount"
+                                        type="number"
+                                        name="amount"
+                                        className="form-control"
+                                        value={settleForm.amount}
+                                        onChange={handleSettleFormChange}
+                                        min="0"
+                                        step="0.01"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="settle-date">Date</label>
+                                    <input
+                                        id="settle-date"
+                                        type="date"
+                                        name="date"
+                                        className="form-control"
+                                        value={settleForm.date}
+                                        onChange={handleSettleFormChange}
+                                        max={getTodayString()}
+                                    />
+                                </div>
+                            </div>
+                            <datalist id="people-names">
+                                {settlePeople.map(name => <option key={name} value={name} />)}
+                            </datalist>
+                            {settleForm.error && (
+                                <div className="error-message">
+                                    <i className="fas fa-exclamation-circle"></i>
+                                    {settleForm.error}
+                                </div>
+                            )}
+                            <div className="modal-actions">
+                                <button type="submit" className="btn-primary">
+                                    <i className="fas fa-check"></i> Record Payment
+                                </button>
+                                <button type="button" className="btn-secondary" onClick={() => setSettleForm(null)}>
+                                    <i className="fas fa-times"></i> Cancel
+                                </button>
+                            </div>
+                        </form>
+                    )}
 
-                <div className="report-card">
-                    <div className="report-header">
-                        <h3>Spending Trends</h3>
-                        <span className="report-period">Last 7 Days</span>
-                    </div>
-                    <div className="chart-container" style={{ height: '250px' }}>
-                        {expenses.length > 0 ? (
-                            <TrendChart expenses={expenses} />
-                        ) : (
-                            <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                                <p className="text-muted">No data to display</p>
+                    <div className="report-card">
+                        <div className="report-header">
+                            <h3>Balances</h3>
+                            <span className="report-period">{people.length} people</span>
+                        </div>
+                        {people.length === 0 ? (
+                            <div className="empty-state">
+                                <p>No shared expenses yet. Turn on "Split this expense" when adding one.</p>
                             </div>
+                        ) : (
+                            <ul className="people-list">
+                                {people.map(person => {
+                                    const balance = peopleBalances[person];
+                                    return (
+                                        <li key={person} className="people-row">
+                                            <span className="people-name">
+                                                <i className={`fas ${person === SELF_PERSON ? 'fa-user-circle' : 'fa-user'}`}></i>
+                                                {person}
+                                            </span>
+                                            <span className={`people-balance ${balance > 0 ? 'owed' : balance < 0 ? 'owes' : ''}`}>
+                                                {balance > 0
+                                                    ? `${person === SELF_PERSON ? 'are' : 'is'} owed ${formatAmount(balance)}`
+                                                    : balance < 0
+                                                        ? `${person === SELF_PERSON ? 'owe' : 'owes'} ${formatAmount(-balance)}`
+                                                        : 'settled up'}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
                         )}
                     </div>
-                </div>
 
-                <div className="report-card full-width">
-                    <div className="report-header">
-                        <h3>All Expenses</h3>
-                        <span className="report-period">{filteredExpenses.length} transaction(s)</span>
+                    <div className="report-card">
+                        <div className="report-header">
+                            <h3>Who Owes Whom</h3>
+                            <label className="people-simplify">
+                                <input
+                                    type="checkbox"
+                                    checked={simplifyPeopleDebts}
+                                    onChange={(e) => setSimplifyPeopleDebts(e.target.checked)}
+                                />
+                                Simplify debts
+                            </label>
+                        </div>
+                        {debts.length === 0 ? (
+                            <div className="empty-state">
+                                <p>Everyone is settled up.</p>
+                            </div>
+                        ) : (
+                            <ul className="people-list">
+                                {debts.map(debt => (
+                                    <li key={`${debt.from}-${debt.to}`} className="people-row">
+                                        <span>
+                                            <strong>{debt.from}</strong> {debt.from === SELF_PERSON ? 'owe' : 'owes'}
+                                            {' '}<strong>{debt.to}</strong> {formatAmount(debt.amount)}
+                                        </span>
+                                        <button className="btn-secondary" onClick={() => handleStartSettle(debt)}>
+                                            Settle up
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                     </div>
-                    
-                    {filteredExpenses.length === 0 ? (
-                        <div className="empty-state">
-                            <p>No expenses match your filters.</p>
+
+                    <div className="report-card full-width">
+                        <div className="report-header">
+                            <h3>Payments</h3>
+                            <span className="report-period">{settlements.length} payment(s)</span>
                         </div>
-                    ) : (
-                        <>
+                        {settlements.length === 0 ? (
+                            <div className="empty-state">
+                                <p>No payments recorded yet. Use "Settle up" when someone pays back what they owe.</p>
+                            </div>
+                        ) : (
                             <div className="expenses-table">
                                 <table>
                                     <thead>
                                         <tr>
-                                            <th>
-                                                <input 
-                                                    type="checkbox"
-                                                    checked={selectedExpenses.length === filteredExpenses.length}
-                                                    onChange={handleSelectAll}
-                                                />
-                                            </th>
                                             <th>Date</th>
-                                            <th>Title</th>
-                                            <th>Category</th>
-                                            <th>Amount (PKR)</th>
+                                            <th>Paid by</th>
+                                            <th>Paid to</th>
+                                            <th>Amount ({displayCurrency})</th>
                                             <th>Actions</th>
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        {filteredExpenses.map(expense => (
-                                            <tr key={expense.id} className="expense-row">
-                                                <td>
-                                                    <input 
-                                                        type="checkbox"
-                                                        checked={selectedExpenses.includes(expense.id)}
-                                                        onChange={() => handleSelectExpense(expense.id)}
-                                                    />
-                                                </td>
-                                                <td>{new Date(expense.date).toLocaleDateString('en-PK')}</td>
-                                                <td>{expense.title}</td>
-                                                <td>
-                                                    <span className="category-badge" style={{
-                                                        backgroundColor: CATEGORIES.find(c => c.id === expense.category)?.color + '20',
-                                                        color: CATEGORIES.find(c => c.id === expense.category)?.color
-                                                    }}>
-                                                        <i className={`fas ${CATEGORIES.find(c => c.id === expense.category)?.icon}`}></i>
-                                                        {' '}{CATEGORIES.find(c => c.id === expense.category)?.name}
-                                                    </span>
-                                                </td>
-                                                <td>{formatPKR(expense.amount)}</td>
+                                        {settlements.map(settlement => (
+                                            <tr key={settlement.id} className="expense-row">
+                                                <td>{formatDateString(settlement.date)}</td>
+                                                <td>{settlement.from}</td>
+                                                <td>{settlement.to}</td>
+                                                <td>{formatAmount(settlement.amount)}</td>
                                                 <td>
                                                     <div className="action-buttons">
-                                                        <button 
-                                                            className="btn-icon"
-                                                            onClick={() => openEditModal(expense)}
-                                                            title="Edit"
-                                                        >
-                                                            <i className="fas fa-edit"></i>
-                                                        </button>
-                                                        <button 
+                                                        <button
                                                             className="btn-icon danger"
-                                                            onClick={() => handleDeleteExpense(expense.id)}
+                                                            onClick={() => handleDeleteSettlement(settlement.id)}
                                                             title="Delete"
                                                         >
                                                             <i className="fas fa-trash"></i>
@@ -1157,82 +6609,348 @@ function App() {
                                     </tbody>
                                 </table>
                             </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        );
+    };
 
-                            {selectedExpenses.length > 0 && (
-                                <div className="bulk-actions">
-                                    <span>{selectedExpenses.length} item(s) selected</span>
-                                    <button className="btn-danger" onClick={handleBulkDelete}>
-                                        <i className="fas fa-trash"></i> Delete Selected
-                                    </button>
-                                    <button className="btn-primary" onClick={() => setIsExportModalOpen(true)}>
-                                        <i className="fas fa-download"></i> Export Selected
-                                    </button>
-                                </div>
-                            )}
-                        </>
-                    )}
+    const renderAccounts = () => {
+        const selectedAccount = accounts.find(account => account.id === selectedAccountId) || accounts[0];
+        const ledger = selectedAccount ? accountLedgers[selectedAccount.id] : [];
+        const unassignedCount = expenses.filter(expense => !expense.account).length;
+
+        return (
+            <div className="screen">
+                <div className="reports-header">
+                    <h1>Accounts</h1>
+                    <div className="report-controls">
+                        <button className="btn-secondary" onClick={handleStartTransfer} disabled={accounts.length < 2}>
+                            <i className="fas fa-exchange-alt"></i> New Transfer
+                        </button>
+                        <button
+                            className="btn-primary"
+                            onClick={() => setAccountEditor({ name: '', type: 'bank', openingBalance: '', error: '' })}
+                        >
+                            <i className="fas fa-plus"></i> Add Account
+                        </button>
+                    </div>
                 </div>
 
-                {expenses.length > 0 && (
-                    <>
-                        <div className="report-card">
-                            <div className="report-header">
-                                <h3>Category Breakdown</h3>
-                                <span className="report-period">All Time</span>
+                {accountEditor && (
+                    <form className="report-card account-form" onSubmit={handleSaveAccount}>
+                        <div className="report-header">
+                            <h3>{accountEditor.id ? 'Edit Account' : 'New Account'}</h3>
+                        </div>
+                        <div className="settle-form-fields">
+                            <div className="form-group">
+                                <label htmlFor="account-name">Name</label>
+                                <input
+                                    id="account-name"
+                                    name="name"
+                                    className="form-control"
+                                    value={accountEditor.name}
+                                    onChange={handleAccountEditorChange}
+                                    placeholder="e.g., Meezan Bank, JazzCash"
+                                    autoFocus
+                                />
                             </div>
-                            <div className="category-list">
-                                {topCategories.map(({ category, amount, name, icon, color }) => (
-                                    <div key={category} className="category-item">
-                                        <div className="category-info">
-                                            <i className={`fas ${icon}`} style={{ color }}></i>
-                                            <span>{name}</span>
-                                        </div>
-                                        <div className="category-stats">
-                                            <strong>{formatPKR(amount)}</strong>
-                                            <span className="category-percentage">
-                                                ({((amount / totalExpenses) * 100).toFixed(1)}%)
-                                            </span>
-                                        </div>
-                                    </div>
-                                ))}
+                            <div className="form-group">
+                                <label htmlFor="account-type">Type</label>
+                                <select
+                                    id="account-type"
+                                    name="type"
+                                    className="form-control"
+                                    value={accountEditor.type}
+                                    onChange={handleAccountEditorChange}
+                                >
+                                    {ACCOUNT_TYPES.map(type => (
+                                        <option key={type.id} value={type.id}>{type.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="account-opening">Opening Balance ({BASE_CURRENCY})</label>
+                                <input
+                                    id="account-opening"
+                                    type="number"
+                                    name="openingBalance"
+                                    className="form-control"
+                                    value={accountEditor.openingBalance}
+                                    onChange={handleAccountEditorChange}
+                                    placeholder="0"
+                                    step="0.01"
+                                />
+                            </div>
+                        </div>
+                        {accountEditor.error && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {accountEditor.error}
                             </div>
+                        )}
+                        <div className="modal-actions">
+                            <button type="submit" className="btn-primary">
+                                <i className="fas fa-save"></i> Save
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => setAccountEditor(null)}>
+                                <i className="fas fa-times"></i> Cancel
+                            </button>
                         </div>
+                    </form>
+                )}
 
-                        <div className="report-card">
-                            <div className="report-header">
-                                <h3>Summary Statistics</h3>
-                                <span className="report-period">Overview</span>
+                {transferForm && (
+                    <form className="report-card account-form" onSubmit={handleRecordTransfer}>
+                        <div className="report-header">
+                            <h3>Transfer Between Accounts</h3>
+                        </div>
+                        <div className="settle-form-fields">
+                            <div className="form-group">
+                                <label htmlFor="transfer-from">From</label>
+                                <select
+                                    id="transfer-from"
+                                    name="from"
+                                    className="form-control"
+                                    value={transferForm.from}
+                                    onChange={handleTransferFormChange}
+                                >
+                                    {accounts.map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
                             </div>
-                            <div className="stats-list">
-                                <div className="stat-item">
-                                    <span>Total Transactions</span>
-                                    <strong>{expenses.length}</strong>
-                                </div>
-                                <div className="stat-item">
-                                    <span>Average per Transaction</span>
-                                    <strong>{formatPKR(averageExpense)}</strong>
-                                </div>
-                                <div className="stat-item">
-                                    <span>Highest Expense</span>
-                                    <strong>{formatPKR(Math.max(...expenses.map(e => e.amount)))}</strong>
-                                </div>
-                                <div className="stat-item">
-                                    <span>Lowest Expense</span>
-                                    <strong>{formatPKR(Math.min(...expenses.map(e => e.amount)))}</strong>
+                            <div className="form-group">
+                                <label htmlFor="transfer-to">To</label>
+                                <select
+                                    id="transfer-to"
+                                    name="to"
+                                    className="form-control"
+                                    value={transferForm.to}
+                                    onChange={handleTransferFormChange}
+                                >
+                                    {accounts.map(account => (
+                                        <option key={account.id} value={account.id}>{account.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="transfer-amount">Amount ({BASE_CURRENCY})</label>
+                                <input
+                                    id="transfer-amount"
+                                    type="number"
+                                    name="amount"
+                                    className="form-control"
+                                    value={transferForm.amount}
+                                    onChange={handleTransferFormChange}
+                                    min="0"
+                                    step="0.01"
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="transfer-date">Date</label>
+                                <input
+                                    id="transfer-date"
+                                    type="date"
+                                    name="date"
+                                    className="form-control"
+                                    value={transferForm.date}
+                                    onChange={handleTransferFormChange}
+                                    max={getTodayString()}
+                                />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="transfer-notes">Notes (Optional)</label>
+                                <input
+                                    id="transfer-notes"
+                                    name="notes"
+                                    className="form-control"
+                                    value={transferForm.notes}
+                                    onChange={handleTransferFormChange}
+                                    placeholder="e.g., ATM withdrawal"
+                                />
+                            </div>
+                        </div>
+                        {transferForm.error && (
+                            <div className="error-message">
+                                <i className="fas fa-exclamation-circle"></i>
+                                {transferForm.error}
+                            </div>
+                        )}
+                        <div className="modal-actions">
+                            <button type="submit" className="btn-primary">
+                                <i className="fas fa-check"></i> Record Transfer
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => setTransferForm(null)}>
+                                <i className="fas fa-times"></i> Cancel
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                <div className="stats-grid">
+                    {accounts.map(account => {
+                        const type = getAccountType(account.type);
+                        const balance = accountBalances[account.id];
+                        return (
+                            <div
+                                key={account.id}
+                                className={`stat-card account-card ${selectedAccount?.id === account.id ? 'selected' : ''}`}
+                                onClick={() => setSelectedAccountId(account.id)}
+                            >
+                                <div className="stat-icon">
+                                    <i className={`fas ${type.icon}`}></i>
                                 </div>
-                                <div className="stat-item">
-                                    <span>Most Active Category</span>
-                                    <strong>{topCategories[0]?.name || 'N/A'}</strong>
+                                <div className="stat-content">
+                                    <h3>{account.name}</h3>
+                                    <p className={balance < 0 ? 'negative-balance' : ''}>{formatAmount(balance)}</p>
+                                    <div className="stat-trend">
+                                        <span>{type.name}</span>
+                                    </div>
                                 </div>
-                                <div className="stat-item">
-                                    <span>Total Categories Used</span>
-                                    <strong>{Object.keys(categoryTotals).length}</strong>
+                                <div className="action-buttons">
+                                    <button
+                                        className="btn-icon"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setAccountEditor({ ...account, openingBalance: String(account.openingBalance || ''), error: '' });
+                                        }}
+                                        title="Edit"
+                                    >
+                                        <i className="fas fa-edit"></i>
+                                    </button>
+                                    <button
+                                        className="btn-icon danger"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            handleDeleteAccount(account.id);
+                                        }}
+                                        title="Delete"
+                                    >
+                                        <i className="fas fa-trash"></i>
+                                    </button>
                                 </div>
                             </div>
+                        );
+                    })}
+                </div>
+
+                {unassignedCount > 0 && (
+                    <p className="text-muted">
+                        {unassignedCount} transaction(s) have no account and are not counted in these balances.
+                    </p>
+                )}
+
+                {selectedAccount && (
+                    <div className="report-card full-width">
+                        <div className="report-header">
+                            <h3>{selectedAccount.name}</h3>
+                            <span className="report-period">
+                                Opening balance {formatAmount(Number(selectedAccount.openingBalance) || 0)}
+                            </span>
                         </div>
-                    </>
+                        {ledger.length === 0 ? (
+                            <div className="empty-state">
+                                <p>No transactions in this account yet.</p>
+                            </div>
+                        ) : (
+                            <div className="expenses-table">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th>
+                                            <th>Description</th>
+                                            <th>Amount ({displayCurrency})</th>
+                                            <th>Balance ({displayCurrency})</th>
+                                            <th>Actions</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {[...ledger].reverse().map(entry => (
+                                            <tr key={entry.id} className="expense-row">
+                                                <td>{formatDateString(entry.date)}</td>
+                                                <td>
+                                                    {entry.transfer && <i className="fas fa-exchange-alt text-muted"></i>}
+                                                    {' '}{entry.title}
+                                                </td>
+                                                <td className={entry.amount < 0 ? '' : 'amount-income'}>
+                                                    {entry.amount < 0 ? '-' : '+'}{formatAmount(Math.abs(entry.amount))}
+                                                </td>
+                                                <td>{formatAmount(entry.balance)}</td>
+                                                <td>
+                                                    {entry.transfer && (
+                                                        <div className="action-buttons">
+                                                            <button
+                                                                className="btn-icon danger"
+                                                                onClick={() => handleDeleteTransfer(entry.id)}
+                                                                title="Delete transfer"
+                                                            >
+                                                                <i className="fas fa-trash"></i>
+                                                            </button>
+                                                        </div>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
                 )}
             </div>
+        );
+    };
+
+    // Inline form for creating or editing a category
+    const renderCategoryEditor = () => (
+        <div className="settings-item category-editor">
+            <div className="category-editor-fields">
+                <i className={`fas ${categoryEditor.icon}`} style={{ color: categoryEditor.color }}></i>
+                <input
+                    type="text"
+                    name="name"
+                    className="form-control"
+                    value={categoryEditor.name}
+                    onChange={handleCategoryEditorChange}
+                    placeholder="Category name"
+                    autoFocus
+                />
+                <select
+                    name="icon"
+                    className="form-control"
+                    value={categoryEditor.icon}
+                    onChange={handleCategoryEditorChange}
+                    aria-label="Icon"
+                >
+                    {CATEGORY_ICONS.map(icon => (
+                        <option key={icon} value={icon}>{icon.replace('fa-', '')}</option>
+                    ))}
+                </select>
+                <input
+                    type="color"
+                    name="color"
+                    className="color-input"
+                    value={categoryEditor.color}
+                    onChange={handleCategoryEditorChange}
+                    aria-label="Color"
+                />
+            </div>
+            {categoryEditor.error && (
+                <div className="error-message">
+                    <i className="fas fa-exclamation-circle"></i>
+                    {categoryEditor.error}
+                </div>
+            )}
+            <div className="action-buttons">
+                <button className="btn-primary" onClick={handleSaveCategory}>
+                    <i className="fas fa-save"></i> Save
+                </button>
+                <button className="btn-secondary" onClick={() => setCategoryEditor(null)}>
+                    Cancel
+                </button>
+            </div>
         </div>
     );
 
@@ -1279,13 +6997,13 @@ function App() {
                     <div className="settings-item">
                         <div className="settings-info">
                             <label>Import Data</label>
-                            <p className="settings-description">Import expenses from a JSON file</p>
+                            <p className="settings-description">Import a JSON backup (plain or encrypted) or a CSV file</p>
                         </div>
                         <div>
                             <input 
                                 type="file" 
                                 id="import-file" 
-                                accept=".json"
+                                accept=".json,.csv,text/csv"
                                 style={{ display: 'none' }}
                                 onChange={importData}
                             />
@@ -1297,22 +7015,280 @@ function App() {
                     <div className="settings-item">
                         <div className="settings-info">
                             <label>Clear All Data</label>
-                            <p className="settings-description warning">This action cannot be undone</p>
+                            <p className="settings-description warning">Moves every transaction to the trash</p>
                         </div>
                         <button 
                             className="btn-danger" 
-                            onClick={() => {
-                                if (window.confirm('Are you sure you want to delete ALL expenses? This cannot be undone.')) {
-                                    setExpenses([]);
-                                    setSelectedExpenses([]);
-                                    setSelectedExpense(null);
-                                    showToast('All data cleared', 'warning');
-                                }
-                            }}
+                            onClick={handleClearAllData}
                         >
                             <i className="fas fa-trash"></i> Clear All
                         </button>
                     </div>
+                    <div className="settings-item">
+                        <div className="settings-info">
+                            <label htmlFor="trash-retention">Trash Retention</label>
+                            <p className="settings-description">Deleted items are permanently removed after this period</p>
+                        </div>
+                        <select
+                            id="trash-retention"
+                            className="form-control currency-select"
+                            value={trashRetentionDays}
+                            onChange={(e) => setTrashRetentionDays(Number(e.target.value))}
+                        >
+                            {TRASH_RETENTION_OPTIONS.map(option => (
+                                <option key={option.days} value={option.days}>{option.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {recoveryRecords.length > 0 && (
+                        <div className="settings-item">
+                            <div className="settings-info">
+                                <label>Data Recovery</label>
+                                <p className="settings-description warning">
+                                    {recoveryRecords.length} record(s) could not be repaired
+                                </p>
+                            </div>
+                            <button className="btn-secondary" onClick={() => navigateTo(SCREEN.RECOVERY)}>
+                                <i className="fas fa-first-aid"></i> Review
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                <div className="settings-section">
+                    <h2>
+                        <i className="fas fa-lock"></i>
+                        Security
+                    </h2>
+                    {lockSettings.enabled ? (
+                        <>
+                            <div className="settings-item">
+                                <div className="settings-info">
+                                    <label>App Lock</label>
+                                    <p className="settings-description">
+                                        On. Transactions, trash, recurring schedules, accounts, categories, budgets, currency rates, saved searches and report views are stored encrypted.
+                                    </p>
+                                </div>
+                                <button className="btn-secondary" onClick={() => setIsLocked(true)}>
+                                    <i className="fas fa-lock"></i> Lock Now
+                                </button>
+                            </div>
+                            <div className="settings-item">
+                                <div className="settings-info">
+                                    <label htmlFor="auto-lock">Auto-lock</label>
+                                    <p className="settings-description">Lock after this long without activity</p>
+                                </div>
+                                <select
+                                    id="auto-lock"
+                                    className="form-control currency-select"
+                                    value={lockSettings.autoLockMinutes}
+                                    onChange={(e) => setLockSettings(prev => ({ ...prev, autoLockMinutes: Number(e.target.value) }))}
+                                >
+                                    {AUTO_LOCK_OPTIONS.map(option => (
+                                        <option key={option.minutes} value={option.minutes}>{option.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <form className="settings-item" onSubmit={handleDisableLock}>
+                                <div className="settings-info">
+                                    <label htmlFor="current-pin">Turn Off App Lock</label>
+                                    <p className="settings-description">Enter your PIN to decrypt your data and remove the lock</p>
+                                    {pinForm.error && (
+                                        <div className="error-message">
+                                            <i className="fas fa-exclamation-circle"></i>
+                                            {pinForm.error}
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="pin-form">
+                                    <input
+                                        id="current-pin"
+                                        type="password"
+                                        name="current"
+                                        className="form-control"
+                                        placeholder="Current PIN"
+                                        value={pinForm.current}
+                                        onChange={handlePinFormChange}
+                                        autoComplete="current-password"
+                                    />
+                                    <button type="submit" className="btn-danger" disabled={!pinForm.current}>
+                                        <i className="fas fa-unlock"></i> Turn Off
+                                    </button>
+                                </div>
+                            </form>
+                        </>
+                    ) : (
+                        <form className="settings-item" onSubmit={handleEnableLock}>
+                            <div className="settings-info">
+                                <label htmlFor="new-pin">App Lock</label>
+                                <p className="settings-description">
+                                    Require a PIN or passphrase to open the app and encrypt saved transactions with it.
+                                    A forgotten PIN cannot be recovered.
+                                </p>
+                                {pinForm.error && (
+                                    <div className="error-message">
+                                        <i className="fas fa-exclamation-circle"></i>
+                                        {pinForm.error}
+                                    </div>
+                                )}
+                            </div>
+                            <div className="pin-form">
+                                <input
+                                    id="new-pin"
+                                    type="password"
+                                    name="pin"
+                                    className="form-control"
+                                    placeholder="New PIN"
+                                    value={pinForm.pin}
+                                    onChange={handlePinFormChange}
+                                    autoComplete="new-password"
+                                />
+                                <input
+                                    type="password"
+                                    name="confirm"
+                                    className="form-control"
+                                    placeholder="Confirm PIN"
+                                    value={pinForm.confirm}
+                                    onChange={handlePinFormChange}
+                                    autoComplete="new-password"
+                                />
+                                <button type="submit" className="btn-primary" disabled={!pinForm.pin}>
+                                    <i className="fas fa-lock"></i> Enable
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+
+                <div className="settings-section">
+                    <h2>
+                        <i className="fas fa-coins"></i>
+                        Currency
+                    </h2>
+                    <div className="settings-item">
+                        <div className="settings-info">
+                            <label htmlFor="display-currency">Display Currency</label>
+                            <p className="settings-description">Totals and charts are converted to this currency</p>
+                        </div>
+                        <select
+                            id="display-currency"
+                            className="form-control currency-select"
+                            value={displayCurrency}
+                            onChange={(e) => handleDisplayCurrencyChange(e.target.value)}
+                        >
+                            {Object.keys(exchangeRates).map(code => (
+                                <option key={code} value={code}>
+                                    {code}{CURRENCY_NAMES[code] ? ` - ${CURRENCY_NAMES[code]}` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    {Object.entries(exchangeRates)
+                        .filter(([code]) => code !== BASE_CURRENCY)
+                        .map(([code, rate]) => (
+                            <div key={code} className="settings-item">
+                                <div className="settings-info">
+                                    <label htmlFor={`rate-${code}`}>{code}</label>
+                                    <p className="settings-description">
+                                        {CURRENCY_NAMES[code] || 'Custom currency'} · 1 {code} = {rate} {BASE_CURRENCY}
+                                    </p>
+                                </div>
+                                <div className="action-buttons">
+                                    <input
+                                        type="number"
+                                        id={`rate-${code}`}
+                                        className="form-control budget-input"
+                                        defaultValue={rate}
+                                        onBlur={(e) => handleExchangeRateChange(code, e.target.value)}
+                                        min="0.0001"
+                                        step="any"
+                                    />
+                                    <button
+                                        className="btn-icon danger"
+                                        onClick={() => handleRemoveCurrency(code)}
+                                        title="Remove"
+                                    >
+                                        <i className="fas fa-trash"></i>
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    <div className="settings-item">
+                        <div className="settings-info">
+                            <label>Add Currency</label>
+                            <p className="settings-description">Rates are maintained by you and work offline</p>
+                        </div>
+                        <div className="action-buttons">
+                            <input
+                                type="text"
+                                className="form-control currency-code-input"
+                                value={newCurrency.code}
+                                onChange={(e) => setNewCurrency(prev => ({ ...prev, code: e.target.value }))}
+                                placeholder="EUR"
+                                maxLength="3"
+                                aria-label="Currency code"
+                            />
+                            <input
+                                type="number"
+                                className="form-control budget-input"
+                                value={newCurrency.rate}
+                                onChange={(e) => setNewCurrency(prev => ({ ...prev, rate: e.target.value }))}
+                                placeholder={`${BASE_CURRENCY} per unit`}
+                                min="0.0001"
+                                step="any"
+                                aria-label="Exchange rate"
+                            />
+                            <button className="btn-secondary" onClick={handleAddCurrency}>
+                                <i className="fas fa-plus"></i> Add
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="settings-section">
+                    <h2>
+                        <i className="fas fa-bullseye"></i>
+                        Monthly Budgets
+                    </h2>
+                    <div className="settings-item">
+                        <div className="settings-info">
+                            <label htmlFor="budget-overall">Overall Budget</label>
+                            <p className="settings-description">Limit in {BASE_CURRENCY} for all spending this month (0 for no limit)</p>
+                        </div>
+                        <input
+                            type="number"
+                            id="budget-overall"
+                            className="form-control budget-input"
+                            value={budgets.overall || ''}
+                            onChange={(e) => handleBudgetChange('overall', e.target.value)}
+                            placeholder="No limit"
+                            min="0"
+                            step="1"
+                        />
+                    </div>
+                    {activeCategories.map(category => (
+                        <div key={category.id} className="settings-item">
+                            <div className="category-info">
+                                <i className={`fas ${category.icon}`} style={{ color: category.color }}></i>
+                                <div>
+                                    <label htmlFor={`budget-${category.id}`}>{category.name}</label>
+                                    <p className="category-count">
+                                        {formatAmount(monthlyCategoryTotals[category.id] || 0)} spent this month
+                                    </p>
+                                </div>
+                            </div>
+                            <input
+                                type="number"
+                                id={`budget-${category.id}`}
+                                className="form-control budget-input"
+                                value={budgets.categories[category.id] || ''}
+                                onChange={(e) => handleBudgetChange(category.id, e.target.value)}
+                                placeholder="No limit"
+                                min="0"
+                                step="1"
+                            />
+                        </div>
+                    ))}
                 </div>
 
                 <div className="settings-section">
@@ -1320,30 +7296,102 @@ function App() {
                         <i className="fas fa-tags"></i>
                         Categories
                     </h2>
-                    {CATEGORIES.map(category => {
-                        const categoryExpenses = expenses.filter(e => e.category === category.id);
+                    {categories.map(category => {
+                        const categoryExpenses = expenseEntries.filter(e => e.category === category.id);
                         const categoryTotal = categoryExpenses.reduce((sum, e) => sum + e.amount, 0);
+
+                        if (categoryEditor?.id === category.id) {
+                            return <div key={category.id}>{renderCategoryEditor()}</div>;
+                        }
                         
                         return (
-                            <div key={category.id} className="settings-item">
+                            <div key={category.id} className={`settings-item ${category.archived ? 'archived' : ''}`}>
                                 <div className="category-info">
                                     <i className={`fas ${category.icon}`} style={{ color: category.color }}></i>
                                     <div>
-                                        <span>{category.name}</span>
+                                        <span>{category.name}{category.archived && ' (archived)'}</span>
                                         <p className="category-count">
-                                            {categoryExpenses.length} item(s) · {formatPKR(categoryTotal)}
+                                            {categoryExpenses.length} item(s) · {formatAmount(categoryTotal)}
                                         </p>
+                                        {categoryMerge?.id === category.id && (
+                                            <div className="category-merge">
+                                                <label htmlFor="merge-target">Move expenses to</label>
+                                                <select
+                                                    id="merge-target"
+                                                    className="form-control"
+                                                    value={categoryMerge.targetId}
+                                                    onChange={(e) => setCategoryMerge(prev => ({ ...prev, targetId: e.target.value }))}
+                                                >
+                                                    {activeCategories
+                                                        .filter(c => c.id !== category.id)
+                                                        .map(c => (
+                                                            <option key={c.id} value={c.id}>{c.name}</option>
+                                                        ))}
+                                                </select>
+                                                <div className="action-buttons">
+                                                    <button className="btn-danger" onClick={handleMergeCategory}>
+                                                        <i className="fas fa-trash"></i> Delete Category
+                                                    </button>
+                                                    <button className="btn-secondary" onClick={() => setCategoryMerge(null)}>
+                                                        Cancel
+                                                    </button>
+                                                </div>
+                                            </div>
+                                        )}
                                     </div>
                                 </div>
-                                <span className="category-badge" style={{
-                                    backgroundColor: category.color + '20',
-                                    color: category.color
-                                }}>
-                                    {totalExpenses > 0 ? ((categoryTotal / totalExpenses) * 100).toFixed(1) : 0}%
-                                </span>
+                                <div className="action-buttons">
+                                    <span className="category-badge" style={{
+                                        backgroundColor: category.color + '20',
+                                        color: category.color
+                                    }}>
+                                        {totalExpenses > 0 ? ((categoryTotal / totalExpenses) * 100).toFixed(1) : 0}%
+                                    </span>
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => {
+                                            setCategoryMerge(null);
+                                            setCategoryEditor({ ...category, error: '' });
+                                        }}
+                                        title="Edit"
+                                    >
+                                        <i className="fas fa-edit"></i>
+                                    </button>
+                                    <button
+                                        className="btn-icon"
+                                        onClick={() => handleToggleArchiveCategory(category.id)}
+                                        title={category.archived ? 'Restore' : 'Archive'}
+                                    >
+                                        <i className={`fas fa-${category.archived ? 'box-open' : 'archive'}`}></i>
+                                    </button>
+                                    <button
+                                        className="btn-icon danger"
+                                        onClick={() => startCategoryMerge(category.id)}
+                                        title="Delete"
+                                    >
+                                        <i className="fas fa-trash"></i>
+                                    </button>
+                                </div>
                             </div>
                         );
                     })}
+                    {categoryEditor && !categoryEditor.id ? renderCategoryEditor() : (
+                        <div className="settings-item">
+                            <div className="settings-info">
+                                <label>New Category</label>
+                                <p className="settings-description">Add your own category, e.g. Rent or Charity/Zakat</p>
+                            </div>
+                            <button
+                                className="btn-secondary"
+                                onClick={() => {
+                                    setCategoryMerge(null);
+                                    setCategoryEditor({ id: null, name: '', icon: 'fa-tag', color: '#6366f1', error: '' });
+                                }}
+                            >
+                                <i className="fas fa-plus"></i> Add Category
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 <div className="settings-section">
@@ -1361,9 +7409,11 @@ function App() {
                     <div className="settings-item">
                         <div className="settings-info">
                             <label>Currency</label>
-                            <p className="settings-description">All amounts are in Pakistani Rupees (PKR)</p>
+                            <p className="settings-description">
+                                Amounts are stored in {CURRENCY_NAMES[BASE_CURRENCY]} ({BASE_CURRENCY}) and shown in {displayCurrency}
+                            </p>
                         </div>
-                        <span>PKR</span>
+                        <span>{displayCurrency}</span>
                     </div>
                     <div className="settings-item">
                         <div className="settings-info">
@@ -1427,13 +7477,40 @@ function App() {
                                 <i className="fas fa-plus-circle"></i>
                                 Add Expense
                             </button>
+                            <button className="dropdown-item" onClick={() => {
+                                navigateTo(SCREEN.ADD);
+                                handleTypeChange('income');
+                            }}>
+                                <i className="fas fa-hand-holding-usd"></i>
+                                Add Income
+                            </button>
                             <button className="dropdown-item" onClick={() => navigateTo(SCREEN.REPORTS)}>
                                 <i className="fas fa-chart-bar"></i>
                                 View Reports
                             </button>
+                            {reportViews.filter(view => view.pinned).map(view => (
+                                <button key={view.id} className="dropdown-item" onClick={() => handleApplyReportView(view)}>
+                                    <i className="fas fa-thumbtack"></i>
+                                    {view.name}
+                                </button>
+                            ))}
+                            <button className="dropdown-item" onClick={() => navigateTo(SCREEN.RECURRING)}>
+                                <i className="fas fa-redo"></i>
+                                Recurring
+                            </button>
+                            <button className="dropdown-item" onClick={() => navigateTo(SCREEN.ACCOUNTS)}>
+                                <i className="fas fa-university"></i>
+                                Accounts
+                            </button>
+                            <button className="dropdown-item" onClick={() => navigateTo(SCREEN.TRASH)}>
+                                <i className="fas fa-trash-alt"></i>
+                                Trash{trash.length > 0 && ` (${trash.length})`}
+                            </button>
                             <button className="dropdown-item" onClick={() => {
                                 setSearchTerm('');
                                 setFilterCategory('all');
+                                setFilterType('all');
+                                setDateRange(DEFAULT_DATE_RANGE);
                                 navigateTo(SCREEN.REPORTS);
                             }}>
                                 <i className="fas fa-list"></i>
@@ -1452,6 +7529,16 @@ function App() {
                         </button>
                     </div>
 
+                    <div className="navbar-item">
+                        <button 
+                            className={`navbar-link ${currentScreen === SCREEN.PEOPLE ? 'active' : ''}`}
+                            onClick={() => navigateTo(SCREEN.PEOPLE)}
+                        >
+                            <i className="fas fa-user-friends"></i>
+                            <span>People</span>
+                        </button>
+                    </div>
+
                     <div className="navbar-item">
                         <button 
                             className={`navbar-link ${currentScreen === SCREEN.SETTINGS ? 'active' : ''}`}
@@ -1461,6 +7548,15 @@ function App() {
                             <span>Settings</span>
                         </button>
                     </div>
+
+                    {lockSettings.enabled && (
+                        <div className="navbar-item">
+                            <button className="navbar-link" onClick={() => setIsLocked(true)} title="Lock the app">
+                                <i className="fas fa-lock"></i>
+                                <span>Lock</span>
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 <div className="navbar-actions">
@@ -1512,21 +7608,178 @@ function App() {
                                     />
                                     CSV
                                 </label>
+                                <label>
+                                    <input 
+                                        type="radio" 
+                                        value="statement" 
+                                        checked={exportFormat === 'statement'}
+                                        onChange={(e) => setExportFormat(e.target.value)}
+                                    />
+                                    Monthly Statement
+                                </label>
+                                <label>
+                                    <input 
+                                        type="radio" 
+                                        value="encrypted" 
+                                        checked={exportFormat === 'encrypted'}
+                                        onChange={(e) => setExportFormat(e.target.value)}
+                                    />
+                                    Encrypted Backup
+                                </label>
                             </div>
                         </div>
 
+                        {exportFormat === 'encrypted' && (
+                            <div className="export-options">
+                                <h3>Passphrase</h3>
+                                <div className="form-group">
+                                    <input
+                                        type="password"
+                                        className="form-control"
+                                        placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+                                        value={exportPassphrase.passphrase}
+                                        onChange={(e) => setExportPassphrase(prev => ({ ...prev, passphrase: e.target.value }))}
+                                        autoComplete="new-password"
+                                    />
+                                </div>
+                                <div className="form-group">
+                                    <input
+                                        type="password"
+                                        className="form-control"
+                                        placeholder="Confirm passphrase"
+                                        value={exportPassphrase.confirm}
+                                        onChange={(e) => setExportPassphrase(prev => ({ ...prev, confirm: e.target.value }))}
+                                        autoComplete="new-password"
+                                    />
+                                    {exportPassphrase.confirm && exportPassphrase.confirm !== exportPassphrase.passphrase && (
+                                        <div className="error-message">
+                                            <i className="fas fa-exclamation-circle"></i>
+                                            Passphrases do not match
+                                        </div>
+                                    )}
+                                </div>
+                                <p className="settings-description">
+                                    The passphrase cannot be recovered. Without it the backup cannot be restored.
+                                </p>
+                            </div>
+                        )}
+
+                        {exportFormat === 'statement' && (
+                            <div className="export-options">
+                                <h3>Statement Options</h3>
+                                <div className="import-settings-grid">
+                                    <label>
+                                        Month
+                                        <input
+                                            type="month"
+                                            className="form-control"
+                                            value={statementOptions.month}
+                                            max={todayString.slice(0, 7)}
+                                            onChange={(e) => setStatementOptions(prev => ({ ...prev, month: e.target.value }))}
+                                        />
+                                    </label>
+                                    <label>
+                                        Document
+                                        <select
+                                            className="form-control"
+                                            value={statementOptions.output}
+                                            onChange={(e) => setStatementOptions(prev => ({ ...prev, output: e.target.value }))}
+                                        >
+                                            <option value="html">Printable HTML</option>
+                                            <option value="pdf">PDF</option>
+                                        </select>
+                                    </label>
+                                </div>
+                            </div>
+                        )}
+
+                        {exportFormat === 'csv' && (
+                            <div className="export-options">
+                                <h3>CSV Options</h3>
+                                <div className="import-settings-grid">
+                                    <label>
+                                        Delimiter
+                                        <select
+                                            className="form-control"
+                                            value={csvExportOptions.delimiter}
+                                            onChange={(e) => setCsvExportOptions(prev => ({ ...prev, delimiter: e.target.value }))}
+                                        >
+                                            {CSV_DELIMITERS.map(delimiter => (
+                                                <option key={delimiter.id} value={delimiter.id}>{delimiter.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                </div>
+                                <label className="import-checkbox">
+                                    <input
+                                        type="checkbox"
+                                        checked={csvExportOptions.includeBom}
+                                        onChange={(e) => setCsvExportOptions(prev => ({ ...prev, includeBom: e.target.checked }))}
+                                    />
+                                    Include UTF-8 BOM (for Excel)
+                                </label>
+
+                                <h3 className="export-columns-title">Columns</h3>
+                                <ul className="export-column-list">
+                                    {csvExportOptions.columns.map((column, index) => (
+                                        <li key={column.id} className="export-column">
+                                            <label>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={column.enabled}
+                                                    onChange={() => handleToggleExportColumn(column.id)}
+                                                />
+                                                {CSV_EXPORT_COLUMNS.find(c => c.id === column.id).name}
+                                            </label>
+                                            <div className="action-buttons">
+                                                <button
+                                                    className="btn-icon"
+                                                    onClick={() => handleMoveExportColumn(index, -1)}
+                                                    disabled={index === 0}
+                                                    title="Move up"
+                                                >
+                                                    <i className="fas fa-arrow-up"></i>
+                                                </button>
+                                                <button
+                                                    className="btn-icon"
+                                                    onClick={() => handleMoveExportColumn(index, 1)}
+                                                    disabled={index === csvExportOptions.columns.length - 1}
+                                                    title="Move down"
+                                                >
+                                                    <i className="fas fa-arrow-down"></i>
+                                                </button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
                         <div className="export-info">
                             <p>
                                 <i className="fas fa-info-circle"></i>
-                                {selectedExpenses.length > 0 
-                                    ? `Exporting ${selectedExpenses.length} selected expense(s)`
-                                    : 'Exporting all expenses'
+                                {exportFormat === 'statement'
+                                    ? 'Includes totals, category breakdown, charts and every transaction in the month'
+                                    : selectedExpenses.length > 0 
+                                        ? `Exporting ${selectedExpenses.length} selected expense(s)`
+                                        : 'Exporting all expenses'
                                 }
                             </p>
                         </div>
 
                         <div className="modal-actions">
-                            <button className="btn-primary" onClick={exportData}>
+                            <button
+                                className="btn-primary"
+                                onClick={exportData}
+                                disabled={
+                                    (exportFormat === 'csv' && !csvExportOptions.columns.some(c => c.enabled)) ||
+                                    (exportFormat === 'statement' && !statementOptions.month) ||
+                                    (exportFormat === 'encrypted' && (
+                                        exportPassphrase.passphrase.length < MIN_PASSPHRASE_LENGTH ||
+                                        exportPassphrase.passphrase !== exportPassphrase.confirm
+                                    ))
+                                }
+                            >
                                 <i className="fas fa-download"></i>
                                 Export
                             </button>
@@ -1540,6 +7793,481 @@ function App() {
         );
     };
 
+    // Attachment Viewer Modal
+    const renderAttachmentViewer = () => {
+        if (!attachmentViewer) return null;
+
+        const { attachments, index } = attachmentViewer;
+        const attachment = attachments[index];
+        const showAttachment = (nextIndex) => setAttachmentViewer({ attachments, index: nextIndex });
+
+        return (
+            <div className="modal-overlay" onClick={() => setAttachmentViewer(null)}>
+                <div className="modal-content attachment-viewer" onClick={(e) => e.stopPropagation()}>
+                    <div className="modal-header">
+                        <h2>{attachment.name}</h2>
+                        <button className="modal-close" onClick={() => setAttachmentViewer(null)}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div className="attachment-frame">
+                        {attachment.type.startsWith('image/') ? (
+                            <img src={attachment.data} alt={attachment.name} />
+                        ) : (
+                            viewerUrl && <iframe src={viewerUrl} title={attachment.name}></iframe>
+                        )}
+                    </div>
+
+                    <div className="modal-actions">
+                        {attachments.length > 1 && (
+                            <>
+                                <button
+                                    className="btn-secondary"
+                                    onClick={() => showAttachment(index - 1)}
+                                    disabled={index === 0}
+                                >
+                                    <i className="fas fa-chevron-left"></i>
+                                    Previous
+                                </button>
+                                <span className="attachment-counter">{index + 1} / {attachments.length}</span>
+                                <button
+                                    className="btn-secondary"
+                                    onClick={() => showAttachment(index + 1)}
+                                    disabled={index === attachments.length - 1}
+                                >
+                                    Next
+                                    <i className="fas fa-chevron-right"></i>
+                                </button>
+                            </>
+                        )}
+                        <a className="btn-primary" href={attachment.data} download={attachment.name}>
+                            <i className="fas fa-download"></i>
+                            Download ({formatFileSize(attachment.size || getDataURLSize(attachment.data))})
+                        </a>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Encrypted Backup Passphrase Modal
+    const renderDecryptModal = () => {
+        if (!encryptedImport) return null;
+
+        return (
+            <div className="modal-overlay">
+                <div className="modal-content">
+                    <div className="modal-header">
+                        <h2>Encrypted Backup</h2>
+                        <button className="modal-close" onClick={() => setEncryptedImport(null)}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <form className="modal-body" onSubmit={handleDecryptImport}>
+                        <p className="settings-description">
+                            {encryptedImport.fileName} is encrypted. Enter the passphrase it was exported with.
+                        </p>
+                        <div className="form-group">
+                            <label htmlFor="backup-passphrase">Passphrase</label>
+                            <input
+                                id="backup-passphrase"
+                                type="password"
+                                className="form-control"
+                                value={encryptedImport.passphrase}
+                                onChange={(e) => setEncryptedImport(prev => ({ ...prev, passphrase: e.target.value, error: '' }))}
+                                autoComplete="current-password"
+                                autoFocus
+                            />
+                            {encryptedImport.error && (
+                                <div className="error-message">
+                                    <i className="fas fa-exclamation-circle"></i>
+                                    {encryptedImport.error}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="modal-actions">
+                            <button
+                                type="submit"
+                                className="btn-primary"
+                                disabled={!encryptedImport.passphrase || encryptedImport.isDecrypting}
+                            >
+                                <i className={`fas ${encryptedImport.isDecrypting ? 'fa-spinner fa-spin' : 'fa-unlock'}`}></i>
+                                {encryptedImport.isDecrypting ? 'Decrypting...' : 'Decrypt & Import'}
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => setEncryptedImport(null)}>
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        );
+    };
+
+    // CSV Import Modal
+    const renderImportModal = () => {
+        if (!csvImport) return null;
+
+        const validCount = csvImportPreview.filter(row => row.errors.length === 0).length;
+        const skippedCount = csvImportPreview.length - validCount;
+
+        if (csvImport.result) {
+            return (
+                <div className="modal-overlay">
+                    <div className="modal-content import-modal">
+                        <div className="modal-header">
+                            <h2>Import Complete</h2>
+                            <button className="modal-close" onClick={() => setCsvImport(null)}>
+                                <i className="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div className="modal-body">
+                            <div className="export-info">
+                                <p>
+                                    <i className="fas fa-check-circle"></i>
+                                    {csvImport.result.imported} row(s) imported, {csvImport.result.skipped.length} skipped
+                                </p>
+                            </div>
+                            {csvImport.result.skipped.length > 0 && (
+                                <ul className="import-skipped-list">
+                                    {csvImport.result.skipped.map(row => (
+                                        <li key={row.rowNumber}>
+                                            <strong>Row {row.rowNumber}:</strong> {row.errors.join('; ')}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            <div className="modal-actions">
+                                <button className="btn-primary" onClick={() => setCsvImport(null)}>
+                                    Close
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            );
+        }
+
+        return (
+            <div className="modal-overlay">
+                <div className="modal-content import-modal">
+                    <div className="modal-header">
+                        <h2>Import CSV</h2>
+                        <button className="modal-close" onClick={() => setCsvImport(null)}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div className="modal-body">
+                        <p className="settings-description">{csvImport.fileName}</p>
+
+                        <div className="export-options">
+                            <h3>File Settings</h3>
+                            <div className="import-settings-grid">
+                                <label>
+                                    Delimiter
+                                    <select
+                                        className="form-control"
+                                        value={csvImport.delimiter}
+                                        onChange={(e) => handleCSVLayoutChange({ delimiter: e.target.value })}
+                                    >
+                                        {CSV_DELIMITERS.map(delimiter => (
+                                            <option key={delimiter.id} value={delimiter.id}>{delimiter.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label>
+                                    Date format
+                                    <select
+                                        className="form-control"
+                                        value={csvImport.dateFormat}
+                                        onChange={(e) => updateCSVImport({ dateFormat: e.target.value })}
+                                    >
+                                        {IMPORT_DATE_FORMATS.map(format => (
+                                            <option key={format.id} value={format.id}>{format.id}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label>
+                                    Decimal separator
+                                    <select
+                                        className="form-control"
+                                        value={csvImport.decimalSeparator}
+                                        onChange={(e) => updateCSVImport({ decimalSeparator: e.target.value })}
+                                    >
+                                        <option value=".">Dot (1,500.50)</option>
+                                        <option value=",">Comma (1.500,50)</option>
+                                    </select>
+                                </label>
+                                {csvImport.mapping.type === '' && (
+                                    <label>
+                                        Amount signs
+                                        <select
+                                            className="form-control"
+                                            value={csvImport.amountSign}
+                                            onChange={(e) => updateCSVImport({ amountSign: e.target.value })}
+                                        >
+                                            {IMPORT_AMOUNT_SIGNS.map(sign => (
+                                                <option key={sign.id} value={sign.id}>{sign.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                )}
+                                <label>
+                                    Unmatched categories
+                                    <select
+                                        className="form-control"
+                                        value={csvImport.defaultCategory}
+                                        onChange={(e) => updateCSVImport({ defaultCategory: e.target.value })}
+                                    >
+                                        {activeCategories.map(category => (
+                                            <option key={category.id} value={category.id}>{category.name}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                            <label className="import-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={csvImport.hasHeader}
+                                    onChange={(e) => handleCSVLayoutChange({ hasHeader: e.target.checked })}
+                                />
+                                First row contains column headers
+                            </label>
+                        </div>
+
+                        <div className="export-options">
+                            <h3>Column Mapping</h3>
+                            <div className="import-settings-grid">
+                                {CSV_IMPORT_FIELDS.map(field => (
+                                    <label key={field.id}>
+                                        {field.name}{field.required && <span className="required"> *</span>}
+                                        <select
+                                            className="form-control"
+                                            value={csvImport.mapping[field.id]}
+                                            onChange={(e) => handleCSVMappingChange(field.id, e.target.value)}
+                                        >
+                                            <option value="">— Not mapped —</option>
+                                            {csvImportTable.headers.map((header, index) => (
+                                                <option key={index} value={String(index)}>{header}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="export-options">
+                            <h3>Preview</h3>
+                            <div className="expenses-table import-preview">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Row</th>
+                                            <th>Date</th>
+                                            <th>Title</th>
+                                            <th>Amount</th>
+                                            <th>Category</th>
+                                            <th>Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {csvImportPreview.slice(0, 10).map(({ rowNumber, data, errors }) => (
+                                            <tr key={rowNumber} className={errors.length > 0 ? 'import-row-error' : ''}>
+                                                <td>{rowNumber}</td>
+                                                <td>{data.date}</td>
+                                                <td>{data.title}</td>
+                                                <td className={isIncome(data) ? 'amount-income' : ''}>
+                                                    {data.amount && `${isIncome(data) ? '+' : ''}${formatCurrency(Number(data.amount))}`}
+                                                </td>
+                                                <td>{getTransactionCategory(data).name}</td>
+                                                <td>
+                                                    {errors.length > 0
+                                                        ? errors.join('; ')
+                                                        : <i className="fas fa-check-circle" style={{ color: 'var(--secondary)' }}></i>
+                                                    }
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {csvImportPreview.length > 10 && (
+                                <p className="settings-description">Showing 10 of {csvImportPreview.length} rows</p>
+                            )}
+                        </div>
+
+                        <div className="export-info">
+                            <p>
+                                <i className="fas fa-info-circle"></i>
+                                {validCount} row(s) ready to import{skippedCount > 0 && `, ${skippedCount} will be skipped`}
+                            </p>
+                        </div>
+
+                        <div className="modal-actions">
+                            <button className="btn-primary" onClick={handleConfirmCSVImport} disabled={validCount === 0}>
+                                <i className="fas fa-upload"></i>
+                                Import {validCount} Row(s)
+                            </button>
+                            <button className="btn-secondary" onClick={() => setCsvImport(null)}>
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Duplicate Review Modal
+    const renderImportReviewModal = () => {
+        if (!importReview) return null;
+
+        const { source, fresh, conflicts, mergeMode, invalidCount } = importReview;
+        const describe = (t) => `${t.date} · ${t.title} · ${formatCurrency(Number(t.amount))}`;
+
+        return (
+            <div className="modal-overlay">
+                <div className="modal-content import-modal">
+                    <div className="modal-header">
+                        <h2>Review Duplicates</h2>
+                        <button className="modal-close" onClick={() => setImportReview(null)}>
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div className="modal-body">
+                        <div className="export-info">
+                            <p>
+                                <i className="fas fa-info-circle"></i>
+                                {source}: {fresh.length} new, {conflicts.length} possible duplicate(s)
+                                {invalidCount > 0 && `, ${invalidCount} invalid row(s) skipped`}
+                            </p>
+                        </div>
+
+                        <div className="export-options">
+                            <h3>Import Mode</h3>
+                            <div className="radio-group">
+                                <label>
+                                    <input
+                                        type="radio"
+                                        checked={!mergeMode}
+                                        onChange={() => setImportReview(prev => ({ ...prev, mergeMode: false }))}
+                                    />
+                                    <span>Review each conflict</span>
+                                </label>
+                                <label>
+                                    <input
+                                        type="radio"
+                                        checked={mergeMode}
+                                        onChange={() => setImportReview(prev => ({ ...prev, mergeMode: true }))}
+                                    />
+                                    <span>Merge backup</span>
+                                </label>
+                            </div>
+                            {mergeMode && (
+                                <p className="settings-description">
+                                    New transactions are added. Records with the same id keep whichever copy was
+                                    edited most recently, and likely duplicates are skipped.
+                                </p>
+                            )}
+                        </div>
+
+                        {!mergeMode && (
+                            <div className="export-options">
+                                <div className="import-conflicts-header">
+                                    <h3>Conflicts</h3>
+                                    <div className="action-buttons">
+                                        {IMPORT_RESOLUTIONS.map(option => (
+                                            <button
+                                                key={option.id}
+                                                className="btn-secondary"
+                                                onClick={() => handleResolveAllConflicts(option.id)}
+                                            >
+                                                {option.name} all
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                                <ul className="import-conflict-list">
+                                    {conflicts.map((conflict, index) => (
+                                        <li key={index} className="import-conflict">
+                                            <div className="import-conflict-details">
+                                                <span className="category-badge">
+                                                    {conflict.reason === 'id' ? 'Same ID' : 'Similar'}
+                                                </span>
+                                                <p><strong>Existing:</strong> {describe(conflict.existing)}</p>
+                                                <p><strong>Imported:</strong> {describe(conflict.incoming)}</p>
+                                            </div>
+                                            <select
+                                                className="form-control"
+                                                value={conflict.resolution}
+                                                onChange={(e) => handleImportResolutionChange(index, e.target.value)}
+                                            >
+                                                {IMPORT_RESOLUTIONS.map(option => (
+                                                    <option key={option.id} value={option.id}>{option.name}</option>
+                                                ))}
+                                            </select>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <div className="modal-actions">
+                            <button className="btn-primary" onClick={handleConfirmImportReview}>
+                                <i className="fas fa-upload"></i>
+                                Import
+                            </button>
+                            <button className="btn-secondary" onClick={() => setImportReview(null)}>
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Lock screen replaces everything, including the loading state, until the PIN is entered
+    const renderLockScreen = () => (
+        <div className="lock-screen">
+            <form className="lock-card" onSubmit={handleUnlock}>
+                <i className="fas fa-lock lock-icon"></i>
+                <h1>ExpenseTracker PKR</h1>
+                <p className="settings-description">Enter your PIN to unlock</p>
+                <div className="form-group">
+                    <input
+                        type="password"
+                        className="form-control"
+                        placeholder="PIN"
+                        value={lockScreen.pin}
+                        onChange={(e) => setLockScreen(prev => ({ ...prev, pin: e.target.value, error: '' }))}
+                        autoComplete="current-password"
+                        autoFocus
+                    />
+                    {lockScreen.error && (
+                        <div className="error-message">
+                            <i className="fas fa-exclamation-circle"></i>
+                            {lockScreen.error}
+                        </div>
+                    )}
+                </div>
+                <button type="submit" className="btn-primary" disabled={!lockScreen.pin || lockScreen.isUnlocking}>
+                    <i className={`fas ${lockScreen.isUnlocking ? 'fa-spinner fa-spin' : 'fa-unlock'}`}></i>
+                    {lockScreen.isUnlocking ? 'Unlocking...' : 'Unlock'}
+                </button>
+            </form>
+        </div>
+    );
+
+    if (isLocked) {
+        return renderLockScreen();
+    }
+
     // Empty state component
     if (isLoading) {
         return (
@@ -1563,16 +8291,40 @@ function App() {
                 {currentScreen === SCREEN.DASHBOARD && renderDashboard()}
                 {(currentScreen === SCREEN.ADD || currentScreen === SCREEN.EDIT) && renderAddEditForm()}
                 {currentScreen === SCREEN.REPORTS && renderReports()}
+                {currentScreen === SCREEN.RECURRING && renderRecurring()}
+                {currentScreen === SCREEN.TRASH && renderTrash()}
+                {currentScreen === SCREEN.RECOVERY && renderRecovery()}
+                {currentScreen === SCREEN.PEOPLE && renderPeople()}
+                {currentScreen === SCREEN.ACCOUNTS && renderAccounts()}
                 {currentScreen === SCREEN.SETTINGS && renderSettings()}
             </main>
 
             {/* Toast Notifications */}
             <div className="toast-container">
+                {(waitingWorker || isUpdateCached) && (
+                    <div className="toast update-toast">
+                        <i className="fas fa-arrow-circle-up"></i>
+                        <span>A new version is available</span>
+                        <button className="toast-action" onClick={handleApplyUpdate}>
+                            Reload
+                        </button>
+                        <button
+                            className="modal-close"
+                            onClick={() => {
+                                setWaitingWorker(null);
+                                setIsUpdateCached(false);
+                            }}
+                        >
+                            &times;
+                        </button>
+                    </div>
+                )}
                 {toasts.map(toast => (
                     <Toast 
                         key={toast.id}
                         message={toast.message}
                         type={toast.type}
+                        action={isToastActionAvailable(toast.action) ? toast.action : null}
                         onClose={() => removeToast(toast.id)}
                     />
                 ))}
@@ -1580,6 +8332,18 @@ function App() {
 
             {/* Export Modal */}
             {renderExportModal()}
+
+            {/* CSV Import Modal */}
+            {renderImportModal()}
+
+            {/* Encrypted Backup Passphrase Modal */}
+            {renderDecryptModal()}
+
+            {/* Attachment Viewer Modal */}
+            {renderAttachmentViewer()}
+
+            {/* Duplicate Review Modal */}
+            {renderImportReviewModal()}
         </div>
     );
 }
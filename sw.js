@@ -0,0 +1,137 @@
+// Service worker: keeps the app shell and its vendored libraries in a cache so the tracker works offline.
+// App files are fetched network-first, so a change to app.js or style.css reaches installed users on
+// their next online visit without touching this file. When the network is too slow the cached copy is
+// served instead, and open pages are offered the update once the newer copy has been cached.
+// Vendored files live under versioned paths and never change, so they are served cache-first;
+// bump CACHE_VERSION when the VENDOR_ASSETS list changes (pages are then offered the new worker).
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'expense-tracker-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// Must match the files index.html and the vendored stylesheets load.
+// Font Awesome's .ttf fallbacks are only requested by browsers without WOFF2, which can't run this worker.
+const VENDOR_ASSETS = [
+    'vendor/react-18.3.1/react.production.min.js',
+    'vendor/react-dom-18.3.1/react-dom.production.min.js',
+    'vendor/babel-standalone-7.29.9/babel.min.js',
+    'vendor/chart.js-4.4.0/chart.umd.js',
+    'vendor/jspdf-2.5.1/jspdf.umd.min.js',
+    'vendor/fontawesome-free-6.4.0/css/all.min.css',
+    'vendor/fontawesome-free-6.4.0/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome-free-6.4.0/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome-free-6.4.0/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome-free-6.4.0/webfonts/fa-v4compatibility.woff2',
+    'vendor/inter-5.3.0/wght.css',
+    'vendor/inter-5.3.0/files/inter-latin-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-latin-ext-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-cyrillic-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-cyrillic-ext-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-greek-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-greek-ext-wght-normal.woff2',
+    'vendor/inter-5.3.0/files/inter-vietnamese-wght-normal.woff2'
+];
+
+// Cache everything up front; a failed download fails the install, so a half-cached version never takes over
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll([...APP_SHELL, ...VENDOR_ASSETS]))
+    );
+});
+
+// Drop caches left by previous versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting version to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// How long an app file may take to download before the cached copy is served instead
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Tell open pages that newer app files were cached after they loaded the old ones
+const notifyUpdateCached = async () => {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'UPDATE_CACHED' }));
+};
+
+// Fetch the latest copy of an app file, keeping it for offline use. On a slow or failed download the
+// cached copy is served; the download carries on in the background and replaces it when it arrives.
+const networkFirst = async (event, request, cacheKey = request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(cacheKey);
+    const download = fetch(request, { cache: 'no-cache' });
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS, null));
+
+    let response = null;
+    try {
+        response = await Promise.race(cached ? [download, timeout] : [download]);
+    } catch (error) {
+        if (!cached) throw error;
+    }
+
+    if (response?.ok) {
+        await cache.put(cacheKey, response.clone());
+        return response;
+    }
+    if (!cached) return response;
+
+    if (!response) {
+        const previous = cached.clone();
+        event.waitUntil(download
+            .then(async latest => {
+                if (!latest.ok) return;
+                const [latestText, previousText] = await Promise.all([latest.clone().text(), previous.text()]);
+                await cache.put(cacheKey, latest);
+                if (latestText !== previousText) {
+                    await notifyUpdateCached();
+                }
+            })
+            .catch(() => {})
+        );
+    }
+    return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Every page URL (including shared report links with query strings) opens the shell
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event, new Request('index.html'), 'index.html'));
+        return;
+    }
+
+    if (url.pathname.includes('/vendor/')) {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(networkFirst(event, request));
+});